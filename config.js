@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { parseSize } = require('./mime');
+
+// Config file with named profiles, one per target of the import:
+//
+//   defaults:                      shared by every profile
+//     folder: ./site
+//   profiles:
+//     staging:
+//       baseUrl: https://staging.example.com/wiki
+//       auth: bearer                 basic (email and API token) or bearer
+//       apiToken: ${STAGING_TOKEN}   ${NAME} is read from the environment
+//       spaceKey: DOCS
+//       parentPageId: 123456
+//       titlePrefix: "[Staging] "    prepended to every title
+//       attachmentExtensions: [.pdf, .docx, .xls]
+//       maxAttachmentSize: 50MB
+//   defaultProfile: staging        profile used without --profile
+//
+// YAML or JSON. Field names are those of the importer options.
+
+// Files looked up in the working directory when no --config is given
+const configFiles = ['confluence-importer.yml', 'confluence-importer.yaml', 'confluence-importer.json'];
+
+// Fields of a profile, with their description for error messages
+const profileFields = {
+  baseUrl: 'Confluence URL, with the /wiki suffix for Cloud',
+  auth: 'basic or bearer',
+  email: 'account email, for basic authentication',
+  apiToken: 'API token or personal access token',
+  spaceKey: 'key of the target space',
+  parentPageId: 'ID of the page under which pages are created',
+  apiVersion: 'auto, v1 or v2',
+  folder: 'folder or .zip archive of the site',
+  stateFile: 'resume state file',
+  titlePrefix: 'prefix of the page titles',
+  titleTemplate: 'template of the page titles, {prefix}{title} by default',
+  attachmentExtensions: 'extensions of the linked files to attach',
+  maxAttachmentSize: 'larger files are not attached, like 50MB',
+  mimeTypes: 'extension or content'
+};
+const requiredFields = ['baseUrl', 'apiToken', 'spaceKey', 'folder'];
+const choices = { auth: ['basic', 'bearer'], apiVersion: ['auto', 'v1', 'v2'], mimeTypes: ['extension', 'content'] };
+
+// === FIND AND READ ===
+// Config file of the working directory, null when there is none
+function findConfigFile(dir = process.cwd()) {
+  return configFiles.map(name => path.join(dir, name)).find(file => fs.existsSync(file)) || null;
+}
+
+function loadConfig(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Config file not found: ${file}`);
+  }
+  let config;
+  try {
+    config = yaml.load(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Cannot read config file ${file}: ${error.message}`);
+  }
+  if (!config || typeof config !== 'object' || !config.profiles || typeof config.profiles !== 'object') {
+    throw new Error(`No profiles in config file ${file}`);
+  }
+  return config;
+}
+
+// === RESOLVE PROFILE ===
+// ${NAME} in string values is replaced by the environment variable NAME
+function interpolate(value, field, env, errors) {
+  if (typeof value !== 'string') return value;
+  return value.replace(/\$\{(\w+)\}/g, (match, name) => {
+    if (env[name] === undefined) {
+      errors.push(`${field}: environment variable ${name} is not set`);
+      return '';
+    }
+    return env[name];
+  });
+}
+
+// Importer options of a profile, every problem is reported in one error:
+//   Invalid profile "staging" in confluence-importer.yml:
+//     - profiles.staging.spaceKey is missing (key of the target space)
+function resolveProfile(config, name, { file = 'config file', env = process.env } = {}) {
+  const names = Object.keys(config.profiles);
+  const profileName = name || config.defaultProfile || (names.length === 1 ? names[0] : null);
+  if (!profileName) {
+    throw new Error(`No profile selected in ${file}, use --profile=name (${names.join(', ')})`);
+  }
+  if (!config.profiles[profileName]) {
+    throw new Error(`Unknown profile "${profileName}" in ${file} (${names.join(', ')})`);
+  }
+
+  const fields = { ...(config.defaults || {}), ...config.profiles[profileName] };
+  const errors = [];
+  const options = { profile: profileName };
+  const fieldName = key => `profiles.${profileName}.${key}`;
+
+  Object.entries(fields).forEach(([key, raw]) => {
+    if (!(key in profileFields)) {
+      errors.push(`${fieldName(key)} is not a known field (${Object.keys(profileFields).join(', ')})`);
+      return;
+    }
+    if (raw === null || raw === undefined) return;
+
+    if (key === 'attachmentExtensions') {
+      const list = typeof raw === 'string' ? raw.split(',') : raw;
+      if (!Array.isArray(list) || list.some(extension => typeof extension !== 'string')) {
+        errors.push(`${fieldName(key)} must be a list of extensions`);
+        return;
+      }
+      options[key] = list.map(extension => extension.trim()).filter(Boolean);
+      return;
+    }
+
+    if (typeof raw !== 'string' && typeof raw !== 'number') {
+      errors.push(`${fieldName(key)} must be a string (${profileFields[key]})`);
+      return;
+    }
+    const value = interpolate(String(raw), fieldName(key), env, errors);
+    if (choices[key] && !choices[key].includes(value)) {
+      errors.push(`${fieldName(key)} is invalid: ${value} (expected ${choices[key].join(', ')})`);
+    }
+    if (key === 'maxAttachmentSize') {
+      try {
+        parseSize(value);
+      } catch (error) {
+        errors.push(`${fieldName(key)}: ${error.message}`);
+      }
+    }
+    options[key] = value;
+  });
+
+  requiredFields.filter(key => !options[key] && !errors.some(error => error.startsWith(`${fieldName(key)}:`)))
+    .forEach(key => errors.push(`${fieldName(key)} is missing (${profileFields[key]})`));
+  if (options.auth === 'basic' && !options.email) {
+    errors.push(`${fieldName('email')} is missing, required by basic authentication`);
+  }
+
+  if (errors.length) {
+    throw new Error(`Invalid profile "${profileName}" in ${file}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+
+  // relative paths are relative to the config file
+  const baseDir = path.dirname(path.resolve(file));
+  ['folder', 'stateFile'].filter(key => options[key]).forEach(key => {
+    options[key] = path.resolve(baseDir, options[key]);
+  });
+  return options;
+}
+
+// Options of a profile of a config file
+function loadProfile(file, name) {
+  return resolveProfile(loadConfig(file), name, { file });
+}
+
+module.exports = { findConfigFile, loadConfig, resolveProfile, loadProfile, profileFields };
@@ -0,0 +1,367 @@
+const fs = require('fs');
+const axios = require('axios');
+const FormData = require('form-data');
+
+// Confluence REST API backends. Both expose the same functions and return
+// normalized objects:
+//   page:       { id, title, version, parentId }, plus body (storage) from getPage
+//   attachment: { id, title, downloadUrl }
+//   property:   { id, key, value, version }
+// Errors are thrown as axios errors, callers decide how to report them.
+//
+// options: { baseUrl, spaceKey, call, headers }
+//   call(axiosCall)  wraps each request (retries, rate limiting)
+//   headers(extra)   returns the authentication headers
+
+// Absolute URL for a download link returned by the API
+function absoluteUrl(baseUrl, link) {
+  if (!link) return null;
+  return link.startsWith('http') ? link : `${baseUrl}${link}`;
+}
+
+// Attachment upload, only available in the v1 API, also used by the v2 backend.
+// file is a path or a Buffer (files read from a .zip archive), contentType is
+// guessed from fileName when not given.
+// The form is rebuilt on each attempt, a retry cannot reuse a consumed stream
+function postAttachmentFile({ call, headers }, url, file, fileName, contentType = null) {
+  return call(() => {
+    const form = new FormData();
+    form.append('file', Buffer.isBuffer(file) ? file : fs.createReadStream(file), contentType ? { filename: fileName, contentType } : fileName);
+    return axios.post(url, form, {
+      headers: headers({
+        ...form.getHeaders(),
+        'X-Atlassian-Token': 'no-check'
+      })
+    });
+  });
+}
+
+// === V1 BACKEND (Server / Data Center, /rest/api/content) ===
+function createV1Client({ baseUrl, spaceKey, call, headers }) {
+  const endpoint = `${baseUrl}/rest/api/content`;
+  const jsonHeaders = () => headers({ 'Content-Type': 'application/json' });
+
+  const toPage = page => ({
+    id: String(page.id),
+    title: page.title,
+    version: page.version?.number,
+    parentId: (page.ancestors || []).length ? String(page.ancestors[page.ancestors.length - 1].id) : null
+  });
+
+  const toAttachment = attachment => ({
+    id: String(attachment.id),
+    title: attachment.title,
+    downloadUrl: absoluteUrl(baseUrl, attachment._links?.download)
+  });
+
+  async function getAttachmentById(attachmentId) {
+    const response = await call(() =>
+      axios.get(`${endpoint}/${attachmentId}`, { headers: headers(), params: { expand: '_links' } })
+    );
+    return toAttachment(response.data);
+  }
+
+  return {
+    version: 'v1',
+
+    pageUrl: pageId => `${baseUrl}/pages/viewpage.action?pageId=${pageId}`,
+
+    // Page with its storage body
+    async getPage(pageId) {
+      const response = await call(() =>
+        axios.get(`${endpoint}/${pageId}`, {
+          headers: headers(),
+          params: { expand: 'body.storage,version,ancestors' }
+        })
+      );
+      return { ...toPage(response.data), body: response.data.body?.storage?.value || '' };
+    },
+
+    async getPageByTitle(title) {
+      const response = await call(() =>
+        axios.get(endpoint, {
+          headers: headers(),
+          params: { title, spaceKey, expand: 'version,ancestors' }
+        })
+      );
+      const page = response.data.results[0];
+      return page ? toPage(page) : null;
+    },
+
+    async createPage({ title, body, parentId }) {
+      const response = await call(() =>
+        axios.post(endpoint, {
+          type: 'page',
+          title,
+          space: { key: spaceKey },
+          ancestors: parentId ? [{ id: parentId }] : undefined,
+          body: { storage: { value: body, representation: 'storage' } }
+        }, { headers: jsonHeaders() })
+      );
+      return toPage(response.data);
+    },
+
+    // parentId moves the page, leave it undefined to keep the current parent
+    async updatePage({ id, title, body, version, parentId }) {
+      const response = await call(() =>
+        axios.put(`${endpoint}/${id}`, {
+          id,
+          type: 'page',
+          title,
+          ancestors: parentId ? [{ id: parentId }] : undefined,
+          version: { number: version },
+          body: { storage: { value: body, representation: 'storage' } }
+        }, { headers: jsonHeaders() })
+      );
+      return toPage(response.data);
+    },
+
+    // Moves the page to the trash
+    async deletePage(pageId) {
+      await call(() => axios.delete(`${endpoint}/${pageId}`, { headers: headers() }));
+    },
+
+    async getAttachment(pageId, fileName) {
+      const response = await call(() =>
+        axios.get(`${endpoint}/${pageId}/child/attachment`, {
+          headers: headers(),
+          params: { filename: fileName }
+        })
+      );
+      const attachment = response.data.results.find(att => att.title === fileName);
+      return attachment ? toAttachment(attachment) : null;
+    },
+
+    async createAttachment(pageId, file, fileName, contentType = null) {
+      const response = await postAttachmentFile({ call, headers }, `${endpoint}/${pageId}/child/attachment`, file, fileName, contentType);
+      return toAttachment(response.data.results[0]);
+    },
+
+    async updateAttachment(pageId, attachmentId, file, fileName, contentType = null) {
+      const response = await postAttachmentFile({ call, headers }, `${endpoint}/${pageId}/child/attachment/${attachmentId}/data`, file, fileName, contentType);
+
+      // Response structure for update is different across versions
+      if (response.data.results && response.data.results[0]) {
+        return toAttachment(response.data.results[0]);
+      } else if (response.data._links && response.data._links.download) {
+        return toAttachment({ id: attachmentId, title: fileName, ...response.data });
+      }
+      // Fallback: fetch updated attachment
+      return getAttachmentById(attachmentId);
+    },
+
+    async deleteAttachment(attachmentId) {
+      await call(() => axios.delete(`${endpoint}/${attachmentId}`, { headers: headers() }));
+    },
+
+    // labels: [{ prefix, name }]
+    async addLabels(pageId, labels) {
+      await call(() => axios.post(`${endpoint}/${pageId}/label`, labels, { headers: jsonHeaders() }));
+    },
+
+    async getProperties(pageId) {
+      const response = await call(() =>
+        axios.get(`${endpoint}/${pageId}/property`, {
+          headers: headers(),
+          params: { expand: 'version', limit: 200 }
+        })
+      );
+      return (response.data.results || []).map(property => ({
+        id: String(property.id),
+        key: property.key,
+        value: property.value,
+        version: property.version?.number
+      }));
+    },
+
+    // current: existing property from getProperties, updated with a new version
+    async setProperty(pageId, { key, value }, current = null) {
+      if (current) {
+        await call(() =>
+          axios.put(`${endpoint}/${pageId}/property/${encodeURIComponent(key)}`, {
+            key,
+            value,
+            version: { number: current.version + 1 }
+          }, { headers: jsonHeaders() })
+        );
+      } else {
+        await call(() => axios.post(`${endpoint}/${pageId}/property`, { key, value }, { headers: jsonHeaders() }));
+      }
+    }
+  };
+}
+
+// === V2 BACKEND (Cloud, /api/v2) ===
+function createV2Client({ baseUrl, spaceKey, call, headers }) {
+  const endpoint = `${baseUrl}/api/v2`;
+  const v1 = createV1Client({ baseUrl, spaceKey, call, headers });
+  const jsonHeaders = () => headers({ 'Content-Type': 'application/json' });
+
+  const toPage = page => ({
+    id: String(page.id),
+    title: page.title,
+    version: page.version?.number,
+    parentId: page.parentId ? String(page.parentId) : null
+  });
+
+  const toAttachment = attachment => ({
+    id: String(attachment.id),
+    title: attachment.title,
+    downloadUrl: absoluteUrl(baseUrl, attachment.downloadLink || attachment._links?.download)
+  });
+
+  // v2 needs the numeric space ID, looked up once
+  let spaceIdPromise = null;
+  const getSpaceId = () => {
+    if (!spaceIdPromise) {
+      spaceIdPromise = call(() =>
+        axios.get(`${endpoint}/spaces`, { headers: headers(), params: { keys: spaceKey } })
+      ).then(response => {
+        const space = response.data.results[0];
+        if (!space) throw new Error(`Space ${spaceKey} not found`);
+        return space.id;
+      });
+      spaceIdPromise.catch(() => { spaceIdPromise = null; });
+    }
+    return spaceIdPromise;
+  };
+
+  // v1 attachment IDs have no "att" prefix
+  const v1AttachmentId = attachmentId => String(attachmentId).replace(/^att/, '');
+
+  return {
+    version: 'v2',
+
+    pageUrl: v1.pageUrl,
+
+    async getPage(pageId) {
+      const response = await call(() =>
+        axios.get(`${endpoint}/pages/${pageId}`, {
+          headers: headers(),
+          params: { 'body-format': 'storage' }
+        })
+      );
+      return { ...toPage(response.data), body: response.data.body?.storage?.value || '' };
+    },
+
+    async getPageByTitle(title) {
+      const spaceId = await getSpaceId();
+      const response = await call(() =>
+        axios.get(`${endpoint}/pages`, {
+          headers: headers(),
+          params: { 'space-id': spaceId, title, status: 'current' }
+        })
+      );
+      const page = response.data.results[0];
+      return page ? toPage(page) : null;
+    },
+
+    async createPage({ title, body, parentId }) {
+      const spaceId = await getSpaceId();
+      const response = await call(() =>
+        axios.post(`${endpoint}/pages`, {
+          spaceId,
+          status: 'current',
+          title,
+          parentId: parentId || undefined,
+          body: { representation: 'storage', value: body }
+        }, { headers: jsonHeaders() })
+      );
+      return toPage(response.data);
+    },
+
+    async updatePage({ id, title, body, version, parentId }) {
+      const response = await call(() =>
+        axios.put(`${endpoint}/pages/${id}`, {
+          id,
+          status: 'current',
+          title,
+          parentId: parentId || undefined,
+          version: { number: version },
+          body: { representation: 'storage', value: body }
+        }, { headers: jsonHeaders() })
+      );
+      return toPage(response.data);
+    },
+
+    async deletePage(pageId) {
+      await call(() => axios.delete(`${endpoint}/pages/${pageId}`, { headers: headers() }));
+    },
+
+    async getAttachment(pageId, fileName) {
+      const response = await call(() =>
+        axios.get(`${endpoint}/pages/${pageId}/attachments`, {
+          headers: headers(),
+          params: { filename: fileName }
+        })
+      );
+      const attachment = response.data.results.find(att => att.title === fileName);
+      return attachment ? toAttachment(attachment) : null;
+    },
+
+    // There is no upload endpoint in v2, files go through the v1 API
+    createAttachment: v1.createAttachment,
+
+    updateAttachment: (pageId, attachmentId, file, fileName, contentType = null) =>
+      v1.updateAttachment(pageId, v1AttachmentId(attachmentId), file, fileName, contentType),
+
+    // v2 attachment IDs have the "att" prefix, IDs from v1 uploads may not
+    async deleteAttachment(attachmentId) {
+      await call(() => axios.delete(`${endpoint}/attachments/att${v1AttachmentId(attachmentId)}`, { headers: headers() }));
+    },
+
+    // There is no endpoint to add labels in v2
+    addLabels: v1.addLabels,
+
+    async getProperties(pageId) {
+      const response = await call(() =>
+        axios.get(`${endpoint}/pages/${pageId}/properties`, { headers: headers(), params: { limit: 250 } })
+      );
+      return (response.data.results || []).map(property => ({
+        id: String(property.id),
+        key: property.key,
+        value: property.value,
+        version: property.version?.number
+      }));
+    },
+
+    async setProperty(pageId, { key, value }, current = null) {
+      if (current) {
+        await call(() =>
+          axios.put(`${endpoint}/pages/${pageId}/properties/${current.id}`, {
+            key,
+            value,
+            version: { number: current.version + 1 }
+          }, { headers: jsonHeaders() })
+        );
+      } else {
+        await call(() => axios.post(`${endpoint}/pages/${pageId}/properties`, { key, value }, { headers: jsonHeaders() }));
+      }
+    }
+  };
+}
+
+// === DETECT API VERSION ===
+// v2 is used when the instance answers on /api/v2 (Cloud), v1 when it does not
+// know the route (404). Other errors, like bad credentials, are thrown
+async function detectApiVersion({ baseUrl, call, headers }) {
+  try {
+    await call(() => axios.get(`${baseUrl}/api/v2/spaces`, { headers: headers(), params: { limit: 1 } }));
+    return 'v2';
+  } catch (error) {
+    if (error.response?.status === 404) return 'v1';
+    throw error;
+  }
+}
+
+// === CREATE CLIENT ===
+// version: 'v1', 'v2' or 'auto' (default)
+async function createClient({ version = 'auto', ...options }) {
+  const apiVersion = version === 'auto' ? await detectApiVersion(options) : version;
+
+  if (apiVersion === 'v1') return createV1Client(options);
+  if (apiVersion === 'v2') return createV2Client(options);
+  throw new Error(`Unknown Confluence API version: ${version}`);
+}
+
+module.exports = { createClient, createV1Client, createV2Client, detectApiVersion };
@@ -1,9 +1,46 @@
 const cheerio = require('cheerio');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
 const yaml = require('js-yaml');
+const MarkdownIt = require('markdown-it');
+const { mimeTypeFromExtension, detectMimeType, mediaKind, formatSize } = require('./mime');
 
-const downloadableExtensions = ['.pdf', '.docx', '.xlsx', '.zip', '.pptx', '.txt', '.csv'];
+// Linked files attached to the page, unless options.attachmentExtensions is given
+const downloadableExtensions = [
+  '.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx', '.odt', '.ods', '.odp', '.rtf', '.txt', '.csv',
+  '.vsd', '.vsdx', '.drawio', '.svg', '.zip', '.7z',
+  '.mp4', '.mov', '.webm', '.avi', '.wmv', '.mp3', '.wav', '.m4a'
+];
+
+// File access of the conversion, source.js gives the same functions for .zip archives
+const fileSystem = {
+  exists: file => fs.existsSync(file),
+  readFile: file => fs.readFileSync(file),
+  readText: file => fs.readFileSync(file, 'utf-8'),
+  size: file => fs.statSync(file).size
+};
+
+// Pages are HTML or Markdown files, Markdown is rendered to HTML before the conversion
+const markdownExtensions = ['.md', '.markdown'];
+const pageExtensions = ['.html', '.htm', ...markdownExtensions];
+
+// Folder for images decoded from data: URIs or downloaded from remote hosts
+const defaultImageDir = path.join(os.tmpdir(), 'confluence-importer');
+
+// File extension of an image MIME type
+const imageExtensions = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/jpg': '.jpg',
+  'image/gif': '.gif',
+  'image/svg+xml': '.svg',
+  'image/webp': '.webp',
+  'image/bmp': '.bmp',
+  'image/x-icon': '.ico'
+};
 
 
 function escapeHTML (str) { 
@@ -17,6 +54,235 @@ function escapeHTML (str) {
     }[tag]));
   }
 
+// Decode entities of text going into a CDATA section, where they are not interpreted
+function decodeEntities(str) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+  return str.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return named[entity.toLowerCase()] ?? match;
+  });
+}
+
+// "]]>" cannot appear inside CDATA, split it over two sections
+function escapeCDATA(str) {
+  return str.replace(/]]>/g, ']]]]><![CDATA[>');
+}
+
+// === MACRO CONVERSION RULES ===
+// Callout classes only match block containers: the same classes are used on
+// table rows and cells (Bootstrap) or inline elements, which must stay as they are
+const calloutContainers = ['div', 'aside', 'section', 'blockquote'];
+const calloutSelector = classNames => classNames
+  .flatMap(className => calloutContainers.map(tag => `${tag}.${className}`))
+  .join(', ');
+
+// Default selector-to-macro rules, applied after the rules given to cleanHtml.
+// titleSelector: element inside the match used as macro title, then removed
+const defaultMacroRules = [
+  { selector: calloutSelector(['info', 'alert-info']), macro: 'info' },
+  { selector: calloutSelector(['note', 'alert-note']), macro: 'note' },
+  { selector: calloutSelector(['warning', 'alert-warning', 'alert-danger']), macro: 'warning' },
+  { selector: calloutSelector(['tip', 'alert-success']), macro: 'tip' },
+  { selector: 'details', macro: 'expand', titleSelector: 'summary' }
+];
+
+// Confluence code macro language names for common aliases
+const codeLanguageAliases = {
+  js: 'javascript',
+  py: 'python',
+  sh: 'bash',
+  shell: 'bash',
+  yml: 'yaml',
+  html: 'xml',
+  cs: 'c#',
+  csharp: 'c#',
+  'c++': 'cpp'
+};
+
+function codeLanguage($pre, $code) {
+  for (const $el of [$code, $pre]) {
+    const fromData = $el.attr('data-lang') || $el.attr('data-language');
+    if (fromData) return fromData.toLowerCase();
+
+    const className = ($el.attr('class') || '').split(/\s+/).find(name => /^(language|lang)-/.test(name));
+    if (className) return className.replace(/^(language|lang)-/, '').toLowerCase();
+  }
+  return null;
+}
+
+// === CONVERT CODE BLOCKS TO CODE MACRO ===
+function convertCodeBlocks($) {
+  $('pre').toArray().reverse().forEach(pre => {
+    const $pre = $(pre);
+    const $code = $pre.children('code').first();
+    const language = codeLanguage($pre, $code);
+    const code = decodeEntities(($code.length ? $code : $pre).text());
+
+    const languageParameter = language
+      ? `<ac:parameter ac:name="language">${escapeHTML(codeLanguageAliases[language] || language)}</ac:parameter>`
+      : '';
+
+    $pre.replaceWith(`<ac:structured-macro ac:name="code">${languageParameter}<ac:plain-text-body><![CDATA[${escapeCDATA(code)}]]></ac:plain-text-body></ac:structured-macro>`);
+  });
+}
+
+// === CONVERT ELEMENTS TO MACROS ===
+// Each element matching a rule selector becomes a macro with a rich text body,
+// inner elements first so nested callouts are kept
+function convertMacros($, rules) {
+  rules.forEach(({ selector, macro, titleSelector, parameters = {} }) => {
+    $(selector).toArray().reverse().forEach(el => {
+      const $el = $(el);
+      const params = { ...parameters };
+
+      if (titleSelector) {
+        const $title = $el.find(titleSelector).first();
+        if ($title.length) {
+          params.title = decodeEntities($title.text().trim());
+          $title.remove();
+        }
+      }
+
+      const parameterTags = Object.entries(params)
+        .map(([name, value]) => `<ac:parameter ac:name="${escapeHTML(name)}">${escapeHTML(String(value))}</ac:parameter>`)
+        .join('');
+
+      $el.replaceWith(`<ac:structured-macro ac:name="${escapeHTML(macro)}">${parameterTags}<ac:rich-text-body>${$el.html()}</ac:rich-text-body></ac:structured-macro>`);
+    });
+  });
+}
+
+// === NORMALIZE TABLES ===
+// Confluence storage tables only have a tbody: header and footer rows are
+// moved into it, captions become a paragraph before the table
+function normalizeTables($) {
+  $('table').each((_, table) => {
+    const $table = $(table);
+    $table.children('colgroup, col').remove();
+
+    const $caption = $table.children('caption');
+    if ($caption.length) {
+      $table.before(`<p><strong>${$caption.html()}</strong></p>`);
+      $caption.remove();
+    }
+
+    const $sections = $table.children('thead, tbody, tfoot');
+    if ($sections.length === 0 && $table.children('tr').length === 0) return;
+
+    const rows = [
+      ...$table.children('thead').children('tr').toArray(),
+      ...$table.children('tr').toArray(),
+      ...$table.children('tbody').children('tr').toArray(),
+      ...$table.children('tfoot').children('tr').toArray()
+    ].map(row => $.xml(row));
+
+    $table.empty().append(`<tbody>${rows.join('')}</tbody>`);
+  });
+}
+
+// === NORMALIZE IMAGES ===
+// Sizes and alignment set by styles and classes are kept as attributes of the
+// image before styles and classes are removed: width and height in pixels,
+// align as left, right or center. Relative sizes are dropped
+const imageAlignments = ['left', 'right', 'center'];
+const alignmentClass = /^(?:align|float|pull|img|image|text)?-?(left|right|center)$/;
+
+function cssValue(style, property) {
+  const match = (style || '').match(new RegExp(`(?:^|;)\\s*${property}\\s*:\\s*([^;]+)`, 'i'));
+  return match ? match[1].trim().toLowerCase() : null;
+}
+
+// Pixels of a size like 300, 300px or 300.5px, null otherwise
+function pixelSize(value) {
+  const match = (value || '').trim().match(/^(\d+(?:\.\d+)?)\s*(px)?$/i);
+  return match ? String(Math.round(parseFloat(match[1]))) : null;
+}
+
+// Alignment of an element from its align attribute, float, auto margins or
+// classes like align-center, float-left or pull-right
+function elementAlignment($el) {
+  const align = ($el.attr('align') || '').toLowerCase();
+  if (imageAlignments.includes(align)) return align;
+
+  const style = $el.attr('style');
+  const float = cssValue(style, 'float');
+  if (float === 'left' || float === 'right') return float;
+  const margins = [cssValue(style, 'margin'), cssValue(style, 'margin-left')].join(' ');
+  if (cssValue(style, 'display') === 'block' && /\bauto\b/.test(margins)) return 'center';
+
+  const alignment = ($el.attr('class') || '').toLowerCase().split(/\s+/)
+    .map(name => name.match(alignmentClass)).find(Boolean);
+  return alignment ? alignment[1] : null;
+}
+
+function normalizeImages($) {
+  $('img').each((_, img) => {
+    const $img = $(img);
+    const style = $img.attr('style');
+
+    ['width', 'height'].forEach(dimension => {
+      const size = pixelSize(cssValue(style, dimension) || $img.attr(dimension));
+      if (size) $img.attr(dimension, size);
+      else $img.removeAttr(dimension);
+    });
+
+    // the image itself, or the figure holding it
+    const $figure = $img.closest('figure');
+    const align = elementAlignment($img) || ($figure.length ? elementAlignment($figure) : null);
+    if (align) $img.attr('align', align);
+    else $img.removeAttr('align');
+  });
+}
+
+// === MARKDOWN SOURCES ===
+// CommonMark with GFM tables and strikethrough, fenced code blocks get a
+// language-x class read by convertCodeBlocks. Raw HTML is allowed
+const markdown = new MarkdownIt({ html: true, xhtmlOut: true });
+
+// GitHub style heading ids, so links like page.md#my-heading keep working
+function headingSlug(text) {
+  return text.toLowerCase().trim().replace(/[^\p{L}\p{N}\s_-]/gu, '').replace(/\s/g, '-');
+}
+
+markdown.core.ruler.push('heading_ids', state => {
+  const used = {};
+  state.tokens.forEach((token, i) => {
+    if (token.type !== 'heading_open' || token.attrGet('id')) return;
+    const text = state.tokens[i + 1].children
+      .filter(child => child.type === 'text' || child.type === 'code_inline')
+      .map(child => child.content)
+      .join('');
+    const slug = headingSlug(text);
+    used[slug] = (used[slug] ?? -1) + 1;
+    token.attrSet('id', used[slug] ? `${slug}-${used[slug]}` : slug);
+  });
+});
+
+function isMarkdownFile(file) {
+  return markdownExtensions.includes(path.extname(file).toLowerCase());
+}
+
+// .html, .htm or Markdown file, imported as a page
+function isPageFile(file) {
+  return pageExtensions.includes(path.extname(file).toLowerCase());
+}
+
+// Markdown rendered to HTML, front matter kept in front
+function markdownToHtml(source) {
+  const match = source.match(frontMatterRegex);
+  const frontMatter = match ? match[0] : '';
+  return `${frontMatter}${markdown.render(source.slice(frontMatter.length))}`;
+}
+
+// HTML source of a page file, rendered when written in Markdown
+function readPageSource(file, source = fileSystem) {
+  const text = source.readText(file);
+  return isMarkdownFile(file) ? markdownToHtml(text) : text;
+}
+
 // === EXTRACT FRONT MATTER FROM HTML ===
 // This function extracts YAML front matter from HTML content, if any
 //   frontMatter: {
@@ -26,8 +292,9 @@ function escapeHTML (str) {
 //   },
 //   content: "<div>\n  <br />\n  <img src=\"pic.jpg\" />\n</div>"
 // }
+const frontMatterRegex = /^---\s*([\s\S]*?)\s*---\s*/;
+
 function extractFrontMatter(html) {
-  const frontMatterRegex = /^---\s*([\s\S]*?)\s*---\s*/;
   const match = html.match(frontMatterRegex);
 
   if (!match) {
@@ -47,7 +314,8 @@ function extractFrontMatter(html) {
 
 
 // === CLEAN HTML FOR XHTML OUTPUT ===
-function cleanHtml(html) {
+// options.macroRules: extra selector-to-macro rules, applied before the defaults
+function cleanHtml(html, options = {}) {
 
   let { frontMatter, content } = extractFrontMatter(html);
 
@@ -59,7 +327,8 @@ function cleanHtml(html) {
   selfClosingTags.forEach(tag => {
     const regex = new RegExp(`<${tag}(\\s[^>]*)?>`, 'gi');
     content = content.replace(regex, (match, attrs = '') => {
-      attrs = attrs.trim();
+      // tags already closed keep a single "/"
+      attrs = attrs.trim().replace(/\/$/, '').trim();
       // Ensure there's a space before '/' only if there are attributes
       return `<${tag}${attrs ? ' ' + attrs : ''} />`;
     });
@@ -75,6 +344,12 @@ function cleanHtml(html) {
   
   // Remove unwanted elements
   $('script, style, meta, link, head').remove();
+
+  // Convert code blocks, callouts, tables and images, before classes are removed
+  convertCodeBlocks($);
+  convertMacros($, [...(options.macroRules || []), ...defaultMacroRules]);
+  normalizeTables($);
+  normalizeImages($);
   
   // Remove unwanted attributes
   $('*').each((_, el) => {
@@ -148,115 +423,592 @@ function cleanHtml(html) {
 }
 
 
+// === IMAGE HELPERS ===
+// Images are written with a name derived from their content, so the same
+// image gets the same attachment name on every run
+function writeImageFile(buffer, extension, folder, baseName = 'image') {
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex').substring(0, 12);
+  const fileName = `${baseName}-${hash}${extension}`;
+  fs.mkdirSync(folder, { recursive: true });
+  const filePath = path.join(folder, fileName);
+  fs.writeFileSync(filePath, buffer);
+  return filePath;
+}
+
+// Decode a data: URI (base64 or percent-encoded) to a file
+function saveDataUri(src, folder) {
+  const match = src.match(/^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s);
+  if (!match) return null;
+
+  const mimeType = (match[1] || 'text/plain').toLowerCase();
+  const extension = imageExtensions[mimeType];
+  if (!extension) return null;
+
+  let buffer;
+  try {
+    buffer = match[2].includes(';base64')
+      ? Buffer.from(match[3], 'base64')
+      : Buffer.from(decodeURIComponent(match[3]));
+  } catch (error) {
+    // malformed percent escapes
+    return null;
+  }
+  return writeImageFile(buffer, extension, folder);
+}
+
+// URL that can be parsed, others cannot be downloaded
+function isValidUrl(url) {
+  try {
+    new URL(url);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Host allowed by a list of host names, with optional port and "*." wildcard
+function isAllowedHost(url, allowedHosts = []) {
+  const { host, hostname } = new URL(url);
+  return allowedHosts.some(allowed =>
+    allowed === host || allowed === hostname ||
+    (allowed.startsWith('*.') && hostname.endsWith(allowed.substring(1)))
+  );
+}
+
+// Download a remote image to a file. Redirects are followed only to allowed
+// hosts, responses over maxSize bytes fail with error.reason set
+async function downloadImage(url, folder, { allowedHosts = [], maxSize = Infinity } = {}) {
+  let target = url;
+  let response;
+  for (let redirects = 0; ; redirects++) {
+    try {
+      response = await axios.get(target, {
+        responseType: 'arraybuffer',
+        timeout: 30000,
+        maxRedirects: 0,
+        maxContentLength: maxSize === Infinity ? -1 : maxSize,
+        validateStatus: status => status >= 200 && status < 400
+      });
+    } catch (error) {
+      if (/maxContentLength/.test(error.message)) error.reason = `over the ${formatSize(maxSize)} limit`;
+      throw error;
+    }
+    if (response.status < 300) break;
+
+    const location = response.headers.location;
+    if (!location) throw new Error(`Redirect without location (${response.status})`);
+    if (redirects >= 5) throw new Error('Too many redirects');
+    target = new URL(location, target).href;
+    if (!/^https?:$/.test(new URL(target).protocol) || !isAllowedHost(target, allowedHosts)) {
+      throw new Error(`Redirected to a host that is not allowed: ${target}`);
+    }
+  }
+
+  const mimeType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const urlName = path.basename(new URL(url).pathname);
+  const extension = path.extname(urlName).toLowerCase() || imageExtensions[mimeType] || '';
+  const baseName = path.basename(urlName, path.extname(urlName)).replace(/[^\w.-]/g, '_') || 'image';
+  return writeImageFile(Buffer.from(response.data), extension, folder, baseName);
+}
+
+// <ri:attachment> reference, pointing to another page for shared assets
+function attachmentReference(fileName, pageTitle = null) {
+  return pageTitle
+    ? `<ri:attachment ri:filename="${escapeHTML(fileName)}"><ri:page ri:content-title="${escapeHTML(pageTitle)}" /></ri:attachment>`
+    : `<ri:attachment ri:filename="${escapeHTML(fileName)}" />`;
+}
+
+// Sizing, alignment, alt text and title of an <img>, as left by cleanHtml, and
+// the caption of the figure holding it
+function imageProperties($, img) {
+  const $img = $(img);
+  const $figure = imageFigure($, img);
+  const align = ($img.attr('align') || '').toLowerCase();
+  return {
+    width: pixelSize($img.attr('width')),
+    height: pixelSize($img.attr('height')),
+    align: imageAlignments.includes(align) ? align : null,
+    alt: $img.attr('alt') || null,
+    title: $img.attr('title') || null,
+    caption: $figure ? ($figure.children('figcaption').html() || '').trim() || null : null
+  };
+}
+
+// Figure holding a single image, its caption is the caption of the image
+function imageFigure($, img) {
+  const $figure = $(img).closest('figure');
+  return $figure.length && $figure.find('img, ac\\:image').length === 1 ? $figure : null;
+}
+
+// <ac:image> of an attachment or URL reference, properties from imageProperties.
+// Attribute values are read with entities, as written in the page
+function confluenceImage(reference, { width, height, align, alt, title, caption } = {}) {
+  const attributes = Object.entries({ align, width, height, alt, title })
+    .filter(([, value]) => value)
+    .map(([name, value]) => ` ac:${name}="${escapeHTML(decodeEntities(value))}"`)
+    .join('');
+  const captionBody = !caption ? ''
+    : /^<(p|div|ul|ol|table)[\s>]/i.test(caption) ? `<ac:caption>${caption}</ac:caption>`
+      : `<ac:caption><p>${caption}</p></ac:caption>`;
+  return `<ac:image${attributes}>${reference}${captionBody}</ac:image>`;
+}
+
+// Video and audio attachments: the multimedia macro plays them in the page,
+// the view-file macro shows formats browsers do not play
+function confluenceMediaMacro(fileName, kind, pageTitle = null) {
+  return `<ac:structured-macro ac:name="${kind === 'file' ? 'view-file' : 'multimedia'}">
+        <ac:parameter ac:name="name">${attachmentReference(fileName, pageTitle)}</ac:parameter>
+      </ac:structured-macro>`;
+}
+
+function remoteReference(url) {
+  return `<ri:url ri:value="${escapeHTML(url)}" />`;
+}
+
+// === ATTACHMENT NAMES ===
+// Attachments are named after their file. Files of a page sharing a name get
+// a suffix derived from their path relative to the page, so names do not
+// depend on the order of the references
+function assignAttachmentNames(filePaths, basePath) {
+  const byName = {};
+  filePaths.forEach(filePath => {
+    const name = path.basename(filePath);
+    byName[name] = byName[name] || [];
+    if (!byName[name].includes(filePath)) byName[name].push(filePath);
+  });
+
+  const names = {};
+  Object.entries(byName).forEach(([name, paths]) => {
+    paths.forEach(filePath => {
+      if (paths.length === 1) {
+        names[filePath] = name;
+        return;
+      }
+      const extension = path.extname(name);
+      const relativePath = path.relative(basePath, filePath).split(path.sep).join('/');
+      const hash = crypto.createHash('sha256').update(relativePath).digest('hex').substring(0, 8);
+      names[filePath] = `${path.basename(name, extension)}-${hash}${extension}`;
+    });
+  });
+  return names;
+}
+
+// === ATTACHMENT POLICY ===
+// Which local files are attached: options { source, attachmentExtensions,
+// mimeTypes, maxAttachmentSize }, as for processImagesAndLinks
+function attachmentPolicy(options = {}) {
+  return {
+    source: options.source || fileSystem,
+    attachmentExtensions: options.attachmentExtensions || downloadableExtensions,
+    mimeTypes: options.mimeTypes || 'extension',
+    maxAttachmentSize: options.maxAttachmentSize || Infinity
+  };
+}
+
+// MIME type of a local file, detected from its content with mimeTypes 'content'
+function fileType(filePath, { source, mimeTypes }) {
+  if (mimeTypes !== 'content') return mimeTypeFromExtension(filePath);
+  try {
+    return detectMimeType(source.readFile(filePath), filePath) || mimeTypeFromExtension(filePath);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Linked file attached to the page: by extension, or with mimeTypes 'content',
+// a file without extension whose content is of a known binary type. Linked
+// images are attached like images, whatever the extensions
+function isAttachmentLink(href, filePath, policy) {
+  const extension = path.extname(href).toLowerCase();
+  if ((mimeTypeFromExtension(href) || '').startsWith('image/')) return true;
+  if (extension || policy.mimeTypes !== 'content') return policy.attachmentExtensions.includes(extension);
+  const type = fileType(filePath, policy);
+  return Boolean(type) && !type.startsWith('text/');
+}
+
+// Why a local file is not attached, null when it can be
+function rejectionReason(filePath, { source, maxAttachmentSize }) {
+  const size = source.size(filePath);
+  return size > maxAttachmentSize ? `${formatSize(size)}, over the ${formatSize(maxAttachmentSize)} limit` : null;
+}
+
+// Source of a <video> or <audio> element, or of its first <source>
+function mediaSource($, media) {
+  return ($(media).attr('src') || $(media).find('source[src]').first().attr('src') || '').trim();
+}
+
+// Local images, media and downloadable files referenced by a page, existing
+// files that can be attached only
+function localFileReferences($, basePath, options = {}) {
+  const policy = attachmentPolicy(options);
+  return [
+    ...$('img').toArray().map(img => localReference(basePath, ($(img).attr('src') || '').trim())),
+    ...$('video, audio').toArray().map(media => localReference(basePath, mediaSource($, media))),
+    // links are filtered by extension first, page links are not resolved
+    ...$('a').toArray()
+      .map(el => $(el).attr('href'))
+      .filter(href => href && (!path.extname(href) || isAttachmentLink(href, null, policy)))
+      .map(href => localReference(basePath, href))
+      .filter(filePath => filePath && isAttachmentLink(filePath, filePath, policy))
+  ].filter(filePath => filePath && policy.source.exists(filePath) && !rejectionReason(filePath, policy));
+}
+
+// Same as above for a raw HTML page, used to count asset usage across pages.
+// options: { source, attachmentExtensions, mimeTypes, maxAttachmentSize }
+function listLocalFiles(html, basePath, options = {}) {
+  const $ = cheerio.load(html);
+  return [...new Set(localFileReferences($, basePath, options))];
+}
+
+// Local file referenced by a page, null for remote and inline references
+function localReference(basePath, ref) {
+  if (!ref || ref.startsWith('data:') || ref.startsWith('#') || /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(ref)) return null;
+  return path.resolve(basePath, safeDecode(ref, decodeURI));
+}
+
+// Local page targeted by a link, with the decoded path (joined as the keys of
+// pageMap) and fragment. Null for remote links and links within the page
+function pageReference(basePath, href) {
+  const [target, ...fragment] = href.split('#');
+  const pagePath = target.split('?')[0];
+  if (!pagePath || /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(pagePath)) return null;
+  return { file: path.join(basePath, safeDecode(pagePath, decodeURI)), anchor: safeDecode(fragment.join('#'), decodeURIComponent) };
+}
+
+// Malformed escapes are kept as written
+function safeDecode(value, decode) {
+  try {
+    return decode(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// Anchors of other pages linked from a raw HTML page: [{ file, anchor }]
+function listPageAnchors(html, basePath) {
+  const $ = cheerio.load(html);
+  return $('a').toArray()
+    .map(el => pageReference(basePath, $(el).attr('href') || ''))
+    .filter(reference => reference?.anchor);
+}
+
+// Anchor macro at the start of the element with this id, once per id
+function addAnchorMacro($, targetId, added) {
+  if (added.has(targetId)) return;
+  const targetEl = $('[id]').filter((_, el) => $(el).attr('id') === targetId).first();
+  if (targetEl.length === 0) return;
+
+  added.add(targetId);
+  targetEl.prepend(`
+        <ac:structured-macro ac:name="anchor" >
+              <ac:parameter ac:name="">${escapeHTML(targetId)}</ac:parameter>
+          </ac:structured-macro>
+        `);
+}
+
+// Body of a Confluence link: the rich content of a linked image, the text otherwise
+function linkBody($, el) {
+  return $(el).find('ac\\:image').length
+    ? `<ac:link-body>${$(el).html()}</ac:link-body>`
+    : `<ac:plain-text-link-body><![CDATA[${escapeCDATA(decodeEntities($(el).text()))}]]></ac:plain-text-link-body>`;
+}
+
+// Replacement of a link to a local page that is not imported
+function unmatchedLink(linkText, href, mode) {
+  if (mode === 'text') return escapeHTML(linkText);
+  return `${escapeHTML(linkText)} <ac:structured-macro ac:name="status">
+          <ac:parameter ac:name="colour">Grey</ac:parameter>
+          <ac:parameter ac:name="title">Missing page: ${escapeHTML(href)}</ac:parameter>
+        </ac:structured-macro>`;
+}
+
 // === PROCESS IMAGES AND LINKS ===
-async function processImagesAndLinks(html, title, pageMap, basePath ){ // , pageId) {
+// options.remoteImages: 'keep' (default) links remote images with <ri:url>,
+//   'download' attaches images from options.allowedHosts, other hosts are kept
+// options.imageDir: folder for decoded and downloaded images
+// options.sharedAssets: { [absolute path]: { name, pageTitle } } files attached
+//   once to a shared page, referenced but not returned in files
+// options.anchors: ids of this page linked from other pages, marked with anchor macros
+// options.unmatchedLinks: 'keep' (default), 'text' or 'placeholder' for links
+//   to local .html files that are not in pageMap, listed in missingPages
+// options.source: files of the site, from source.js, the file system by default
+// options.attachmentExtensions: extensions of the linked files to attach,
+//   downloadableExtensions by default
+// options.mimeTypes: 'extension' (default) or 'content', the type of attachments
+//   is then detected from their content: linked files without extension are
+//   attached when of a known type, and files whose content does not match their
+//   extension are listed in mismatchedFiles ({ file, type })
+// options.maxAttachmentSize: larger files are not attached, listed in
+//   rejectedFiles ({ file, reason }) and replaced by their text
+// Images keep the size, alignment, alt text and title left by cleanHtml, and
+// the caption of their figure. Linked images are attached, an image in a link
+// becomes a linked image.
+// Video and audio files become multimedia or view-file macros.
+// Returned files are absolute paths, attachmentNames gives the attachment
+// name of each file, the same as in <ri:attachment> references
+async function processImagesAndLinks(html, title, pageMap, basePath, options = {}){ // , pageId) {
+  const {
+    remoteImages = 'keep',
+    allowedHosts = [],
+    imageDir = defaultImageDir,
+    sharedAssets = {},
+    anchors = [],
+    unmatchedLinks = 'keep'
+  } = options;
+  const policy = attachmentPolicy(options);
+  const { source } = policy;
   const imagesToUpload = [];
   const filesToUpload = [];
+  const missingImages = [];
+  const missingFiles = [];
+  const missingPages = [];
+  const rejectedFiles = [];
+  const addedAnchors = new Set();
   const $ = cheerio.load(html, { xmlMode: true, decodeEntities: false });
 
+  const types = {};
+  const typeOf = filePath => {
+    if (!(filePath in types)) types[filePath] = fileType(filePath, policy);
+    return types[filePath];
+  };
+  // Files over the limits are reported, the caller replaces their reference
+  const rejected = (filePath, reference) => {
+    const reason = rejectionReason(filePath, policy);
+    if (!reason) return false;
+    console.warn(`File not attached: ${reference} (${reason})`);
+    rejectedFiles.push({ file: reference, reason });
+    return true;
+  };
+
+  // Images become <ac:image>, a figure holding the image alone is replaced by
+  // the image with its caption, a link around the image to the image itself
+  // is dropped. target: resolved path or URL of the image
+  const linkTarget = href => localReference(basePath, href) || (href.startsWith('//') ? `https:${href}` : href);
+  const dropSelfLink = (img, target) => {
+    const $link = $(img).parent('a');
+    const alone = $link.contents().toArray().every(node => node === img || (node.type === 'text' && !node.data.trim()));
+    if (target && $link.length && alone && linkTarget(($link.attr('href') || '').trim()) === target) {
+      $link.replaceWith(img);
+    }
+  };
+  const replaceImage = (img, reference, target = null) => {
+    const image = confluenceImage(reference, imageProperties($, img));
+    dropSelfLink(img, target);
+    const $figure = imageFigure($, img);
+    if ($figure) {
+      $figure.children('figcaption').remove();
+      $figure.replaceWith($figure.contents());
+    }
+    $(img).replaceWith(image);
+  };
+
+  // Name local attachments first, collisions are only known once all are listed.
+  // Shared assets are attached to another page, under their shared name
+  const localFiles = localFileReferences($, basePath, policy);
+  const attachmentNames = assignAttachmentNames(localFiles.filter(filePath => !sharedAssets[filePath]), basePath);
+  localFiles.filter(filePath => sharedAssets[filePath]).forEach(filePath => {
+    attachmentNames[filePath] = sharedAssets[filePath].name;
+  });
+
   // Process images
   const imgTags = $('img');
   for (const img of imgTags.toArray()) {
-    const src = decodeURI($(img).attr('src'));
-    if (!src) continue;
-    
+    const rawSrc = ($(img).attr('src') || '').trim();
+    if (!rawSrc) continue;
+
+    // Inline image, decoded to a file and attached
+    if (rawSrc.startsWith('data:')) {
+      const imagePath = saveDataUri(rawSrc, imageDir);
+      if (!imagePath) {
+        console.error('Unsupported data URI image: ', rawSrc.substring(0, 40));
+        missingImages.push(rawSrc.substring(0, 40));
+        continue;
+      }
+      imagesToUpload.push(imagePath);
+      attachmentNames[imagePath] = path.basename(imagePath);
+      replaceImage(img, attachmentReference(attachmentNames[imagePath]));
+      continue;
+    }
+
+    // Remote image, protocol-relative URLs are read as https
+    if (/^(https?:)?\/\//i.test(rawSrc)) {
+      const url = rawSrc.startsWith('//') ? `https:${rawSrc}` : rawSrc;
+
+      if (remoteImages === 'download' && !isValidUrl(url)) {
+        console.error('Invalid image URL: ', url);
+        missingImages.push(url);
+        continue;
+      }
+
+      if (remoteImages === 'download' && isAllowedHost(url, allowedHosts)) {
+        try {
+          const imagePath = await downloadImage(url, imageDir, { allowedHosts, maxSize: policy.maxAttachmentSize });
+          if (rejected(imagePath, url)) {
+            replaceImage(img, remoteReference(url), url);
+            continue;
+          }
+          imagesToUpload.push(imagePath);
+          attachmentNames[imagePath] = path.basename(imagePath);
+          replaceImage(img, attachmentReference(attachmentNames[imagePath]), url);
+          continue;
+        } catch (error) {
+          if (error.reason) {
+            console.warn(`File not attached: ${url} (${error.reason})`);
+            rejectedFiles.push({ file: url, reason: error.reason });
+          } else {
+            console.error(`Download failed for image ${url}:`, error.message);
+            missingImages.push(url);
+          }
+        }
+      }
+
+      replaceImage(img, remoteReference(url), url);
+      continue;
+    }
+
+    const src = safeDecode(rawSrc, decodeURI);
     
     // Check if the image is a local file
     const fullPath = path.resolve(basePath, src);
-    const fileName = path.basename(src);
     
-    if (!fs.existsSync(fullPath)) {
+    if (!source.exists(fullPath)) {
       console.error('Missing image: ', src);
+      missingImages.push(src);
       continue;
     }
-    
-    imagesToUpload.push(src);
 
+    if (rejected(fullPath, src)) {
+      dropSelfLink(img, fullPath);
+      $(img).replaceWith($(img).attr('alt') || escapeHTML(path.basename(src)));
+      continue;
+    }
+    
     // change img tag to confluence format
-    const confluenceImg = `
-      <ac:image>
-        <ri:attachment ri:filename="${fileName}" />
-        <ac:plain-text-body><![CDATA[${fileName}]]></ac:plain-text-body>
-      </ac:image>
-    `;
-    $(img).replaceWith(confluenceImg);
+    if (sharedAssets[fullPath]) {
+      replaceImage(img, attachmentReference(attachmentNames[fullPath], sharedAssets[fullPath].pageTitle), fullPath);
+      continue;
+    }
+
+    imagesToUpload.push(fullPath);
+    replaceImage(img, attachmentReference(attachmentNames[fullPath]), fullPath);
 
   }
 
+  // Process video and audio, remote ones become links
+  for (const media of $('video, audio').toArray()) {
+    const rawSrc = mediaSource($, media);
+    const filePath = localReference(basePath, rawSrc);
+    if (!filePath) {
+      $(media).replaceWith(/^(https?:)?\/\//i.test(rawSrc) ? `<a href="${rawSrc}">${rawSrc}</a>` : '');
+      continue;
+    }
+
+    const src = safeDecode(rawSrc, decodeURI);
+    if (!source.exists(filePath)) {
+      console.error('Missing file: ', src);
+      missingFiles.push(src);
+      continue;
+    }
+    if (rejected(filePath, src)) {
+      $(media).replaceWith(escapeHTML(path.basename(src)));
+      continue;
+    }
+
+    const kind = mediaKind(typeOf(filePath)) || media.tagName;
+    $(media).replaceWith(confluenceMediaMacro(attachmentNames[filePath], kind, sharedAssets[filePath]?.pageTitle));
+    if (!sharedAssets[filePath]) {
+      filesToUpload.push(filePath);
+    }
+  }
+
   // Process links
   const anchorTags = $('a');
   for (const el of anchorTags.toArray()) {
     const href = $(el).attr('href');
     const linkText = $(el).text();
     if (!href) continue;
-    const fullPath = path.join(basePath, href);
-    const ext = path.extname(href).toLowerCase();
-
-    // console.log(fullPath, pageMap[fullPath] ) ;
+    const reference = pageReference(basePath, href);
+    const localPath = localReference(basePath, href);
 
-    if ( pageMap[fullPath]  ) {
-      // Link to another page
-      const linkedTitle = pageMap[fullPath];
-      let confluenceLink =  $(el).html() ; 
-      confluenceLink = `<ac:link>
+    if (reference && pageMap[reference.file]) {
+      // Link to another page, or to an anchor of another page
+      const linkedTitle = pageMap[reference.file];
+      const anchorAttribute = reference.anchor ? ` ac:anchor="${escapeHTML(reference.anchor)}"` : '';
+      const confluenceLink = `<ac:link${anchorAttribute}>
           <ri:page ri:content-title="${escapeHTML(linkedTitle)}" />
-          <ac:plain-text-link-body><![CDATA[${linkText}]]></ac:plain-text-link-body>
+          ${linkBody($, el)}
         </ac:link>
       `;
       $(el).replaceWith(confluenceLink);
       // logEvent(title, 'Page link modified', linkedTitle);
     } else if (href.startsWith('#')) {
       // internal link (anchor)
-      const targetId = href.substring(1);
+      const targetId = safeDecode(href.substring(1), decodeURIComponent);
       if (targetId != "") {
         const confluenceLink = `
-          <ac:link ac:anchor="${targetId}"> 
-            <ac:plain-text-link-body><![CDATA[${linkText}]]></ac:plain-text-link-body>
+          <ac:link ac:anchor="${escapeHTML(targetId)}"> 
+            ${linkBody($, el)}
           </ac:link>
         `;
 
         $(el).replaceWith(confluenceLink);
 
-
         // find the target element and add macro anchor
-      
-        const targetEl = $(`#${targetId}`);
-        if (targetEl.length > 0) {
-        const confluenceTarget = `
-        <ac:structured-macro ac:name="anchor" >
-              <ac:parameter ac:name="">${targetId}</ac:parameter>
-          </ac:structured-macro>
-        `;
-
-          $(targetEl).prepend(confluenceTarget);
-
-        }
+        addAnchorMacro($, targetId, addedAnchors);
       }
     
-    } else if (downloadableExtensions.includes(ext) ) {
-      // Downloadable file
-      const filePath = path.resolve(basePath, decodeURI(href));
-      if (fs.existsSync(filePath)) {
-          const filename = path.basename(decodeURI(href)) ; 
-          const confluenceLink = `
+    } else if (reference && isPageFile(reference.file)) {
+      // Local page that is not imported
+      const missingHref = href.split('#')[0];
+      console.warn('Link to a page that is not imported: ', safeDecode(missingHref, decodeURI));
+      missingPages.push(safeDecode(missingHref, decodeURI));
+      if (unmatchedLinks !== 'keep') {
+        $(el).replaceWith(unmatchedLink(linkText, safeDecode(missingHref, decodeURI), unmatchedLinks));
+      }
+
+    } else if (localPath && isAttachmentLink(href, localPath, policy)) {
+      // Downloadable file, video and audio files are played in the page
+      const filePath = localPath;
+      if (source.exists(filePath) && rejected(filePath, safeDecode(href, decodeURI))) {
+        $(el).replaceWith($(el).find('ac\\:image').length ? $(el).html() : escapeHTML(linkText));
+      } else if (source.exists(filePath)) {
+          const filename = attachmentNames[filePath] ; 
+          const kind = mediaKind(typeOf(filePath));
+          const text = decodeEntities(linkText).trim();
+          const confluenceLink = kind
+            ? `${text && text !== path.basename(filePath) ? `${escapeHTML(text)} ` : ''}${confluenceMediaMacro(filename, kind, sharedAssets[filePath]?.pageTitle)}`
+            : `
           <ac:link>
-            <ri:attachment ri:filename="${filename}" />
-            <ac:plain-text-link-body>
-            <![CDATA[${linkText}]]></ac:plain-text-link-body>
+            ${attachmentReference(filename, sharedAssets[filePath]?.pageTitle)}
+            ${linkBody($, el)}
           </ac:link>
           `;
           $(el).replaceWith(confluenceLink);
 
-          filesToUpload.push(decodeURI(href));
+          if (!sharedAssets[filePath]) {
+            filesToUpload.push(filePath);
+          }
        } else {
-         console.error('Missing file: ', decodeURI(href));
+         console.error('Missing file: ', safeDecode(href, decodeURI));
+         missingFiles.push(safeDecode(href, decodeURI));
       }
     }
   }
 
-  return {confluence_html: $.html() , files: [...filesToUpload, ...imagesToUpload]  };
+  // anchors linked from other pages
+  anchors.forEach(targetId => addAnchorMacro($, targetId, addedAnchors));
+
+  const files = [...new Set([...filesToUpload, ...imagesToUpload])];
+
+  // Content not matching the extension, like an error page saved as .pdf
+  const mismatchedFiles = policy.mimeTypes !== 'content' ? [] : files
+    .map(filePath => ({ filePath, type: typeOf(filePath), expected: mimeTypeFromExtension(filePath) }))
+    .filter(({ type, expected }) => type && expected && type !== expected)
+    .map(({ filePath, type }) => ({ file: attachmentNames[filePath], type }));
+
+  return {confluence_html: $.html() , files, attachmentNames, missingImages, missingFiles, missingPages, rejectedFiles, mismatchedFiles };
 
 }
 
 
-module.exports = {cleanHtml,processImagesAndLinks};
+module.exports = {cleanHtml,processImagesAndLinks,extractFrontMatter,escapeHTML,escapeCDATA,decodeEntities,defaultMacroRules,listLocalFiles,listPageAnchors,assignAttachmentNames,markdownToHtml,readPageSource,isPageFile,downloadableExtensions,safeDecode};
@@ -0,0 +1,1874 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const yaml = require('js-yaml');
+const cleanHtml = require('./html');
+const { createClient } = require('./confluence');
+const { createVerifier } = require('./verify');
+const { checkStorage, describeProblem } = require('./storage');
+const { createPreviewSite } = require('./preview');
+const { openSource } = require('./source');
+const { detectMimeType, parseSize } = require('./mime');
+
+// Programmatic API of the importer, main.js is the command line wrapper.
+//
+//   const { importSite } = require('./importer');
+//   const result = await importSite({ baseUrl, apiToken, spaceKey, folder, onProgress: event => ... });
+//
+// Nothing runs at require time, invalid options are thrown as errors.
+
+// === UTILITIES ===
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run task on each item, with at most `concurrency` tasks in progress
+async function runPool(items, concurrency, task) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      await task(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+}
+
+// Run tasks with at most `concurrency` of them in progress, shared by every
+// caller: limit(task) waits for a free slot. A finished task hands its slot
+// to the next waiting one
+function createLimiter(concurrency) {
+  let active = 0;
+  const waiting = [];
+  return async task => {
+    if (active < concurrency) active++;
+    else await new Promise(resolve => waiting.push(resolve));
+    try {
+      return await task();
+    } finally {
+      if (waiting.length > 0) waiting.shift()();
+      else active--;
+    }
+  };
+}
+
+// SHA-256 of a string or buffer, used to detect unchanged pages and attachments
+const hashContent = content => crypto.createHash('sha256').update(content).digest('hex');
+
+// Convert a glob (*, ** and ?) to a regular expression
+function globToRegExp(glob) {
+  const pattern = glob
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*\//g, '\u0000')
+    .replace(/\*\*/g, '\u0001')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]')
+    .replace(/\u0000/g, '(?:.*/)?')
+    .replace(/\u0001/g, '.*');
+  return new RegExp(`^${pattern}$`);
+}
+
+// === OPTIONS ===
+// options: {
+//   baseUrl, email, apiToken, spaceKey, folder, parentPageId    connection and source,
+//                    folder being a folder or a .zip archive, read without unpacking
+//   auth             'basic' (email and API token, default when email is set) or 'bearer'
+//   profile          name of the target, default state file transfer-state.<profile>.json
+//   stateFile        resume state, transfer-state.json in the folder, or
+//                    <archive>.transfer-state.json beside a .zip archive, by default
+//   apiVersion       'auto' (default), 'v1' or 'v2'
+//   dryRun, dryRunLocal, outputDir (dry-run-local folder, ./dryrun-output by default)
+//   ignoreState      push every page and attachment again
+//   limit, concurrency, log, logFormat ('csv' or 'json'), macros (rules file)
+//   remoteImages ('keep' or 'download'), allowedHosts
+//   crawl, crawlAll, crawlDepth, include, exclude
+//   sharedAssets ('page' or 'index'), sharedPatterns, sharedMinUses
+//   sync ('archive' or 'delete'), unmatchedLinks ('keep', 'text' or 'placeholder')
+//   attachmentExtensions  extensions of the linked files to attach ('.pdf', ...)
+//   maxAttachmentSize     larger files are not attached, bytes or '20MB'
+//   mimeTypes        'extension' (default) or 'content', type of attachments
+//                    detected from their content
+//   validate         'repair' (default), 'strict' or 'off', storage format check of the pages
+//   titleTemplate, titlePrefix, onConflict ('update', 'skip', 'fail' or 'rename'), renamePrefix, renameSuffix
+//   report, pageIndex   false to skip the generated pages
+//   onProgress(event)   { type: 'page', index, total, title, file } when a page starts,
+//                       { type: 'event', ...logged event } for each logged event
+// }
+function resolveOptions(options = {}) {
+  const missing = ['baseUrl', 'apiToken', 'spaceKey', 'folder'].filter(key => !options[key]);
+  if (missing.length) {
+    throw new Error(`Missing options: ${missing.join(', ')}`);
+  }
+  if (!fs.existsSync(options.folder)) {
+    throw new Error(`HTML folder or archive not found: ${options.folder}`);
+  }
+  if (fs.statSync(options.folder).isFile() && path.extname(options.folder).toLowerCase() !== '.zip') {
+    throw new Error(`Source must be a folder or a .zip archive: ${options.folder}`);
+  }
+
+  const sharedPatterns = options.sharedPatterns || [];
+  const renamePrefix = options.renamePrefix || '';
+  const resolved = {
+    apiVersion: 'auto',
+    limit: Infinity,
+    concurrency: 1,
+    log: null,
+    logFormat: /\.(json|jsonl|ndjson)$/i.test(options.log || '') ? 'json' : 'csv',
+    macros: null,
+    remoteImages: 'keep',
+    allowedHosts: [],
+    crawlDepth: Infinity,
+    include: [],
+    exclude: [],
+    sharedAssets: null,
+    // without sharedPatterns, files used by 2 pages or more are shared
+    sharedMinUses: sharedPatterns.length ? Infinity : 2,
+    sync: null,
+    unmatchedLinks: 'keep',
+    validate: 'repair',
+    auth: options.email ? 'basic' : 'bearer',
+    attachmentExtensions: cleanHtml.downloadableExtensions,
+    maxAttachmentSize: Infinity,
+    mimeTypes: 'extension',
+    // titlePrefix alone prefixes every title
+    titleTemplate: '{prefix}{title}',
+    titlePrefix: '',
+    onConflict: 'update',
+    renameSuffix: renamePrefix ? '' : ' (imported)',
+    report: true,
+    pageIndex: true,
+    outputDir: path.join(process.cwd(), 'dryrun-output'),
+    ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined && value !== null)),
+    sharedPatterns,
+    renamePrefix
+  };
+  resolved.concurrency = Math.max(1, parseInt(resolved.concurrency) || 1);
+
+  const choices = {
+    apiVersion: ['auto', 'v1', 'v2'],
+    remoteImages: ['keep', 'download'],
+    unmatchedLinks: ['keep', 'text', 'placeholder'],
+    validate: ['repair', 'strict', 'off'],
+    auth: ['basic', 'bearer'],
+    mimeTypes: ['extension', 'content'],
+    onConflict: ['update', 'skip', 'fail', 'rename'],
+    logFormat: ['csv', 'json']
+  };
+  Object.entries(choices).forEach(([key, values]) => {
+    if (!values.includes(resolved[key])) {
+      throw new Error(`Invalid ${key}: ${resolved[key]} (expected ${values.join(', ')})`);
+    }
+  });
+  if (resolved.sync && !['archive', 'delete'].includes(resolved.sync)) {
+    throw new Error(`Invalid sync: ${resolved.sync} (expected archive or delete)`);
+  }
+  if (resolved.sync && resolved.limit !== Infinity) {
+    throw new Error('sync cannot be used with limit, pages beyond the limit would be removed');
+  }
+  if (resolved.sharedAssets && !['page', 'index'].includes(resolved.sharedAssets)) {
+    throw new Error(`Invalid sharedAssets: ${resolved.sharedAssets} (expected page or index)`);
+  }
+  if (resolved.auth === 'basic' && !resolved.email) {
+    throw new Error('Missing options: email, required by basic authentication');
+  }
+  resolved.maxAttachmentSize = parseSize(resolved.maxAttachmentSize);
+  resolved.attachmentExtensions = resolved.attachmentExtensions
+    .map(extension => `.${extension.replace(/^\./, '')}`.toLowerCase());
+  if (!resolved.titleTemplate.includes('{title}')) {
+    throw new Error(`Invalid titleTemplate, {title} is missing: ${resolved.titleTemplate}`);
+  }
+
+  return resolved;
+}
+
+// === IMPORTER ===
+// One import or verification run. Options, state, log and rate limiting are
+// private to the run, several runs can share a process
+function createImporter(options) {
+  const {
+    baseUrl: CONFLUENCE_BASE_URL,
+    email: AUTH_EMAIL,
+    apiToken: API_TOKEN,
+    auth: AUTH_METHOD,
+    spaceKey: SPACE_KEY,
+    folder: SOURCE_PATH,
+    profile: PROFILE,
+    stateFile,
+    parentPageId: PARENT_PAGE_ID,
+    apiVersion: CONFLUENCE_API_VERSION,
+    dryRun: DRY_RUN,
+    dryRunLocal: DRY_RUN_LOCAL,
+    outputDir: DRY_RUN_OUTPUT_DIR,
+    ignoreState: IGNORE_STATE,
+    limit: LIMIT,
+    concurrency: CONCURRENCY,
+    log: LOG_PATH,
+    logFormat: LOG_FORMAT,
+    macros: MACROS_PATH,
+    remoteImages: REMOTE_IMAGES,
+    allowedHosts: ALLOWED_HOSTS,
+    sync: SYNC,
+    titleTemplate: TITLE_TEMPLATE,
+    titlePrefix: TITLE_PREFIX,
+    onConflict: ON_CONFLICT,
+    renamePrefix: RENAME_PREFIX,
+    renameSuffix: RENAME_SUFFIX,
+    unmatchedLinks: UNMATCHED_LINKS,
+    attachmentExtensions: ATTACHMENT_EXTENSIONS,
+    maxAttachmentSize: MAX_ATTACHMENT_SIZE,
+    mimeTypes: MIME_TYPES,
+    validate: VALIDATE,
+    report,
+    pageIndex,
+    crawl,
+    crawlAll: CRAWL_ALL,
+    crawlDepth: CRAWL_DEPTH,
+    include: INCLUDE_GLOBS,
+    exclude: EXCLUDE_GLOBS,
+    sharedAssets: SHARED_ASSETS,
+    sharedPatterns: SHARED_PATTERNS,
+    sharedMinUses: SHARED_MIN_USES,
+    onProgress
+  } = resolveOptions(options);
+
+  const NO_REPORT = !report;
+  const NO_PAGE_INDEX = !pageIndex;
+  const CRAWL = CRAWL_ALL || Boolean(crawl);
+  // Pages are read from a folder or straight from a .zip archive, HTML_FOLDER_PATH
+  // being the folder holding them (inside the archive for a .zip)
+  const SOURCE = openSource(SOURCE_PATH);
+  const HTML_FOLDER_PATH = SOURCE.root;
+  // the state of an archive cannot be written into it, it is kept beside it
+  // each profile has its own state, a source can be imported into several targets
+  const stateName = PROFILE ? `transfer-state.${PROFILE}.json` : 'transfer-state.json';
+  const STATE_FILE = stateFile || (SOURCE.archive
+    ? path.join(path.dirname(SOURCE.archive), `${path.basename(SOURCE.archive, path.extname(SOURCE.archive))}.${stateName}`)
+    : path.join(HTML_FOLDER_PATH, stateName));
+  const INDEX_PATH = findIndexPage();
+  // Which local files are attached, for cleanHtml.processImagesAndLinks and listLocalFiles
+  const attachmentPolicy = {
+    source: SOURCE,
+    attachmentExtensions: ATTACHMENT_EXTENSIONS,
+    maxAttachmentSize: MAX_ATTACHMENT_SIZE,
+    mimeTypes: MIME_TYPES
+  };
+
+  // Entry page listing the pages to import: index.html, or index.md for Markdown
+  // sites. Exports without one use another usual name, their only top-level page,
+  // or the top-level page linking to the most pages
+  function findIndexPage() {
+    const entryNames = ['index.html', 'index.md', 'index.htm', 'default.html', 'home.html', 'README.md', 'readme.md'];
+    const entry = entryNames.map(name => path.join(HTML_FOLDER_PATH, name)).find(file => SOURCE.exists(file));
+    if (entry) return entry;
+
+    const topLevelPages = SOURCE.listFiles()
+      .filter(file => path.dirname(file) === HTML_FOLDER_PATH && cleanHtml.isPageFile(file));
+    if (topLevelPages.length === 0) return path.join(HTML_FOLDER_PATH, 'index.html');
+
+    const pageLinks = file => {
+      try {
+        const $ = cheerio.load(cleanHtml.readPageSource(file, SOURCE));
+        return $('a').toArray().filter(a => {
+          const href = ($(a).attr('href') || '').split(/[?#]/)[0];
+          return cleanHtml.isPageFile(href) && !/^([a-z]+:)?\/\//i.test(href);
+        }).length;
+      } catch (error) {
+        return 0;
+      }
+    };
+    const [found] = topLevelPages
+      .map(file => ({ file, links: topLevelPages.length === 1 ? 0 : pageLinks(file) }))
+      .sort((a, b) => b.links - a.links);
+    console.log(`No index.html, entry page: ${path.relative(HTML_FOLDER_PATH, found.file)}`);
+    return found.file;
+  }
+
+  // Progress events for callers of the API, a failing listener does not stop the run
+  function emitProgress(event) {
+    if (!onProgress) return;
+    try {
+      onProgress(event);
+    } catch (error) {
+      console.error('Progress listener failed:', error.message);
+    }
+  }
+
+  // === MACRO RULES ===
+  // Selector-to-macro rules from a YAML or JSON file, a list of
+  // { selector, macro, titleSelector, parameters }
+  function loadMacroRules() {
+    if (!MACROS_PATH) return [];
+
+    try {
+      const rules = yaml.load(fs.readFileSync(MACROS_PATH, 'utf-8')) || [];
+      if (!Array.isArray(rules) || rules.some(rule => !rule || !rule.selector || !rule.macro)) {
+        throw new Error('expected a list of rules with selector and macro');
+      }
+      console.log(`Macro rules loaded: ${rules.length} from ${MACROS_PATH}`);
+      return rules;
+    } catch (error) {
+      throw new Error(`Invalid macro rules file ${MACROS_PATH}: ${error.message}`);
+    }
+  }
+
+  const MACRO_RULES = loadMacroRules();
+
+  // === STORAGE FORMAT ===
+  // Converted pages are checked before they are pushed or saved by a dry run.
+  // Returns the body to push, repaired in 'repair' mode, null when the page
+  // cannot be pushed
+  function validateStorage(body, title, file) {
+    if (VALIDATE === 'off') return body;
+
+    const { problems, repairable, html } = checkStorage(body, { macros: MACRO_RULES.map(rule => rule.macro) });
+    if (!problems.length) return body;
+
+    const repaired = VALIDATE === 'repair' && repairable;
+    problems.forEach(problem => {
+      console.warn(`Storage format of "${title}", ${describeProblem(problem)}`);
+      logEvent({ page: title, action: repaired ? 'Storage repaired' : 'Invalid storage', detail: describeProblem(problem), file });
+    });
+    if (repaired) return html;
+
+    console.error(`Invalid storage format, "${title}" is not pushed`);
+    logEvent({ page: title, action: 'Failed', detail: `Invalid storage format: ${problems.length} problem(s)`, file });
+    return null;
+  }
+
+  // === DRY RUN LOCAL SETUP ===
+  function initDryRunOutput() {
+    if (!DRY_RUN_LOCAL) return;
+    // Create dry-run output directory if it doesn't exist
+    if (!fs.existsSync(DRY_RUN_OUTPUT_DIR)) {
+      fs.mkdirSync(DRY_RUN_OUTPUT_DIR, { recursive: true });
+      console.log(`Created folder for dry-run-local: ${DRY_RUN_OUTPUT_DIR}`);
+    }
+  }
+
+  // === DRY RUN LOCAL FUNCTIONS ===
+  // Saved pages are also rendered in a browsable preview, written at the end of the run
+  const preview = DRY_RUN_LOCAL ? createPreviewSite({ outputDir: DRY_RUN_OUTPUT_DIR }) : null;
+
+  function saveDryRunFile(title, content, type = 'html') {
+    if (!DRY_RUN_LOCAL) return null;
+
+    const sanitizedTitle = title.replace(/[<>:"/\\|?*]/g, '_');
+    const fileName = `${sanitizedTitle}.${type}`;
+    const filePath = path.join(DRY_RUN_OUTPUT_DIR, fileName);
+
+    try {
+      fs.writeFileSync(filePath, content, 'utf-8');
+      console.log(`Saved locally: ${fileName}`);
+      return filePath;
+    } catch (error) {
+      console.error(`Saving failed for ${fileName}:`, error.message);
+      return null;
+    }
+  }
+
+  // Attachments are copied to one folder per page, as pages can have attachments with the same name
+  function copyDryRunAsset(srcPath, destName, pageTitle) {
+    if (!DRY_RUN_LOCAL || !SOURCE.exists(srcPath)) return null;
+
+    const finalDestPath = preview.assetPath(pageTitle, destName);
+
+    // folder does not exist, create it
+    if (!fs.existsSync(path.dirname(finalDestPath))) {
+      fs.mkdirSync(path.dirname(finalDestPath), { recursive: true });
+    }
+
+    try {
+      fs.writeFileSync(finalDestPath, SOURCE.readFile(srcPath));
+      console.log(`Asset saved: ${destName}`);
+      return `./${path.relative(DRY_RUN_OUTPUT_DIR, finalDestPath).split(path.sep).join('/')}`;
+    } catch (error) {
+      console.error(`Asset saving failed ${destName}:`, error.message);
+      return null;
+    }
+  }
+
+  // === LOGGING ===
+  // Every event is appended to the --log file as soon as it happens, so an
+  // interrupted run still leaves a record. Format is CSV or JSON lines
+  const logs = [];
+  const LOG_COLUMNS = [
+    ['timestamp', 'Timestamp'],
+    ['page', 'Page'],
+    ['action', 'Action'],
+    ['detail', 'Detail'],
+    ['pageId', 'Page ID'],
+    ['pageUrl', 'URL'],
+    ['file', 'Source file']
+  ];
+
+  const csvValue = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+  function initLog() {
+    if (!LOG_PATH) return;
+    const header = LOG_FORMAT === 'json' ? '' : LOG_COLUMNS.map(([, label]) => label).join(',') + '\n';
+    fs.writeFileSync(LOG_PATH, header);
+  }
+
+  function writeLogLine(entry) {
+    if (!LOG_PATH) return;
+    const line = LOG_FORMAT === 'json'
+      ? JSON.stringify(entry)
+      : LOG_COLUMNS.map(([key]) => csvValue(entry[key])).join(',');
+    try {
+      fs.appendFileSync(LOG_PATH, line + '\n');
+    } catch (error) {
+      console.error(`Cannot write log ${LOG_PATH}:`, error.message);
+    }
+  }
+
+  function logEvent({ page = '', action, detail = '', pageId = '', pageUrl = '', file = '' }) {
+    const event = {
+      timestamp: new Date().toISOString(),
+      page,
+      action,
+      detail,
+      pageId,
+      pageUrl,
+      file: file ? path.relative(HTML_FOLDER_PATH, file) : ''
+    };
+    logs.push(event);
+    writeLogLine(event);
+    emitProgress({ type: 'event', ...event });
+  }
+
+  // Count events by action
+  function countEvents() {
+    const counts = {};
+    logs.forEach(({ action }) => {
+      counts[action] = (counts[action] || 0) + 1;
+    });
+    return counts;
+  }
+
+  // Summary of counts, written at the end of the log
+  function writeLogSummary() {
+    const counts = countEvents();
+
+    if (LOG_PATH) {
+      if (LOG_FORMAT === 'json') {
+        writeLogLine({ timestamp: new Date().toISOString(), summary: counts });
+      } else {
+        Object.entries(counts).forEach(([action, count]) => {
+          writeLogLine({ timestamp: new Date().toISOString(), action: 'Summary', detail: `${action}: ${count}` });
+        });
+      }
+      console.log(`Log written: ${LOG_PATH}`);
+    }
+
+    return counts;
+  }
+
+  // === CONFLUENCE API CLIENT ===
+  // v1 or v2 backend, created when the import starts
+  let confluence = null;
+
+  async function initApiClient() {
+    confluence = await createClient({
+      version: CONFLUENCE_API_VERSION,
+      baseUrl: CONFLUENCE_BASE_URL,
+      spaceKey: SPACE_KEY,
+      call: safeAxiosCall,
+      headers: getAuthHeaders
+    });
+    console.log(`Using Confluence REST API ${confluence.version}`);
+  }
+
+  // === AUTHENTICATION HEADERS HELPER ===
+  function getAuthHeaders(additionalHeaders = {}) {
+    if (AUTH_METHOD === 'basic') {
+      return {
+        // Basic Auth with email and API token
+        // alternate solution to: { username: AUTH_EMAIL, password: API_TOKEN },
+        'Authorization': `Basic ${Buffer.from(`${AUTH_EMAIL}:${API_TOKEN}`).toString('base64')}`,
+        ...additionalHeaders
+      };
+    }else {
+      return {
+        'Authorization': `Bearer ${API_TOKEN}`,
+        ...additionalHeaders
+      };
+    }
+  }
+
+  // === RATE LIMITING ===
+  // Shared by all workers: a 429 pauses every request until its Retry-After has
+  // elapsed and widens the spacing between requests, narrowed again on success
+  const rateLimit = { pausedUntil: 0, nextSlot: 0, spacing: 0 };
+
+  async function waitForRateLimit() {
+    const now = Date.now();
+    const start = Math.max(now, rateLimit.pausedUntil, rateLimit.nextSlot);
+    rateLimit.nextSlot = start + rateLimit.spacing;
+    if (start > now) {
+      await delay(start - now);
+    }
+  }
+
+  // Retry-After is either a number of seconds or an HTTP date
+  function retryAfterMs(error) {
+    const header = error.response?.headers?.['retry-after'];
+    if (!header) return null;
+    const seconds = Number(header);
+    if (!isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  // === AXIOS ERROR HANDLING ===
+  // Requests in flight, pages and attachments together, stay within --concurrency
+  const requestLimit = createLimiter(CONCURRENCY);
+
+  async function safeAxiosCall(axiosCall, retries = 3) {
+    for (let i = 0; i < retries; i++) {
+      // console.log(`Attempt ${i + 1}/${retries}`); // on ${axiosCall}`);
+      await waitForRateLimit();
+      try {
+        let a = await requestLimit(axiosCall);
+        // console.log('Request successful');
+        rateLimit.spacing = Math.floor(rateLimit.spacing * 0.9);
+        return a ;
+      } catch (error) {
+        if (error.response?.status === 429) {
+          if (i === retries - 1) {
+            throw error;
+          }
+          const waitTime = retryAfterMs(error) ?? Math.pow(2, i) * 1000; // Exponential backoff
+          rateLimit.pausedUntil = Math.max(rateLimit.pausedUntil, Date.now() + waitTime);
+          rateLimit.spacing = Math.min(Math.max(rateLimit.spacing * 2, 100), 5000);
+          console.log(`Rate limit reached, waiting ${waitTime}ms...`);
+          continue;
+        }
+
+        if (i === retries - 1) {
+          throw error; // Last attempt, throw error
+        }
+        console.log( `Error: ${error.response?.status} - ${error.response?.data?.message || error.message}`);
+        console.log(`Attempt ${i + 1}/${retries} failed, retrying...`);
+        await delay(100);
+      }
+    }
+  }
+
+  // Readable error detail for logs, including the Confluence message if any
+  function errorDetail(error) {
+    const status = error.response?.status;
+    const message = error.response?.data?.message || error.message;
+    return status ? `${status} - ${message}` : message;
+  }
+
+  // === GET PAGE BY TITLE ===
+  async function getPageByTitle(title) {
+    try {
+      return await confluence.getPageByTitle(title);
+    } catch (error) {
+      console.error(`Error searching page "${title}":`, error.response?.data || error.message);
+      return null;
+    }
+  }
+
+  // === CREATE OR UPDATE PAGE ===
+  // A page whose hash, title and parent match its entry in the state file is
+  // not pushed again, to avoid creating a new Confluence version
+  function isPageUnchanged(pageState, { hash, title, parentId }) {
+    return Boolean(pageState?.pageId && hash && pageState.hash === hash
+      && pageState.title === title && (pageState.parentId ?? null) === (parentId ?? null));
+  }
+
+  async function createOrUpdatePage({ title, htmlContent, parentId, file, hash, pageState }) {
+    if (DRY_RUN) {
+      logEvent({ page: title, action: 'Simulated', detail: 'dry-run', file });
+      return `dry-${title}`;
+    }
+
+    if (DRY_RUN_LOCAL) {
+      // Save the HTML content to a local file
+      const savedPath = saveDryRunFile(title, htmlContent, 'html');
+      preview.addPage(title, htmlContent);
+      logEvent({ page: title, action: 'Simulated', detail: savedPath ? `Saved: ${path.basename(savedPath)}` : 'Saving failed', file });
+      return `dry-local-${title}`;
+    }
+
+    if (isPageUnchanged(pageState, { hash, title, parentId })) {
+      console.log('Unchanged, skipping update');
+      logEvent({ page: title, action: 'Skipped', detail: 'Unchanged', pageId: pageState.pageId, pageUrl: confluence.pageUrl(pageState.pageId), file });
+      return pageState.pageId;
+    }
+
+    try {
+      const existingPage = await confluence.getPageByTitle(title);
+
+      if (existingPage) {
+        // Update existing page
+        const newVersion = existingPage.version + 1;
+
+        // Move the page when its parent changed
+        const moved = Boolean(parentId) && existingPage.parentId !== String(parentId);
+
+        await confluence.updatePage({
+          id: existingPage.id,
+          title,
+          body: htmlContent,
+          version: newVersion,
+          parentId: moved ? parentId : undefined
+        });
+
+        const pageUrl = confluence.pageUrl(existingPage.id);
+        console.log('Updated', `Version ${newVersion}`, pageUrl);
+        if (moved) {
+          console.log(`Moved under page ${parentId}`);
+        }
+        logEvent({
+          page: title,
+          action: 'Updated',
+          detail: `Version ${newVersion}${moved ? `, moved under ${parentId}` : ''}`,
+          pageId: existingPage.id,
+          pageUrl,
+          file
+        });
+        return existingPage.id;
+
+      } else {
+        // Create new page
+        const page = await confluence.createPage({ title, body: htmlContent, parentId });
+
+        const pageId = page.id;
+        const pageUrl = confluence.pageUrl(pageId);
+        console.log('Created', `ID ${pageId}`, pageUrl);
+        logEvent({ page: title, action: 'Created', pageId, pageUrl, file });
+        return pageId;
+      }
+
+    } catch (error) {
+      console.error(`Error creating/updating "${title}":`, error.response?.data || error.message);
+      logEvent({ page: title, action: 'Failed', detail: errorDetail(error), file });
+      return null;
+    }
+  }
+
+  // === CHECK IF ATTACHMENT EXISTS ===
+  async function getExistingAttachment(pageId, fileName) {
+    try {
+      return await confluence.getAttachment(pageId, fileName);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // === UPDATE EXISTING ATTACHMENT ===
+  async function updateAttachment(pageId, attachmentId, file, fileName, contentType) {
+    try {
+      const attachment = await confluence.updateAttachment(pageId, attachmentId, file, fileName, contentType);
+
+      if (attachment?.downloadUrl) {
+        return attachment.downloadUrl;
+      } else {
+        console.error(`Unable to retrieve download link for ${fileName}`);
+        return null;
+      }
+
+    } catch (error) {
+      console.error(`Error updating ${fileName}:`, error.response?.data || error.message);
+      return null;
+    }
+  }
+
+  // === UPLOAD FILE ===
+  // attachmentsState holds the ID and hash of the attachments already uploaded
+  // to the page, unchanged files are not uploaded again
+  async function uploadAttachment(pageId, filePath, fileName, pageTitle = '', attachmentsState = null) {
+    if (DRY_RUN) {
+      return `https://dummy.url/${fileName}`;
+    }
+
+    if (DRY_RUN_LOCAL) {
+      // copy file to dry-run output directory
+      // console.log(pageId, filePath, filePath);
+      return copyDryRunAsset(filePath, fileName, pageTitle);
+    }
+
+    if (!pageId || pageId.startsWith('dry-')) {
+      console.error(`Invalid page ID for upload ${fileName}`);
+      return null;
+    }
+
+    try {
+      const content = SOURCE.readFile(filePath);
+      const hash = hashContent(content);
+      // files of an archive are uploaded from memory, others streamed from disk
+      const upload = SOURCE.archive ? content : filePath;
+      const contentType = MIME_TYPES === 'content' ? detectMimeType(content, fileName) : null;
+      const knownAttachment = attachmentsState?.[fileName];
+
+      if (knownAttachment?.id && knownAttachment.hash === hash) {
+        console.log(`Unchanged attachment: ${fileName}`);
+        logEvent({ page: pageTitle, action: 'Attachment skipped', detail: fileName, pageId, pageUrl: knownAttachment.url || '', file: filePath });
+        return knownAttachment.url || null;
+      }
+
+      // Check if file already exists
+      const existingAttachment = await getExistingAttachment(pageId, fileName);
+
+      if (existingAttachment) {
+        console.log(`Updating existing attachment: ${fileName}`);
+        const downloadUrl = await updateAttachment(pageId, existingAttachment.id, upload, fileName, contentType);
+        logEvent({
+          page: pageTitle,
+          action: downloadUrl ? 'Attachment updated' : 'Attachment failed',
+          detail: fileName,
+          pageId,
+          pageUrl: downloadUrl || '',
+          file: filePath
+        });
+        if (downloadUrl && attachmentsState) {
+          attachmentsState[fileName] = { id: existingAttachment.id, hash, url: downloadUrl };
+        }
+        return downloadUrl;
+      } else {
+        // Create new attachment
+        const attachment = await confluence.createAttachment(pageId, upload, fileName, contentType);
+
+        console.log(`New attachment created: ${fileName}`);
+        logEvent({
+          page: pageTitle,
+          action: 'Attachment uploaded',
+          detail: fileName,
+          pageId,
+          pageUrl: attachment.downloadUrl,
+          file: filePath
+        });
+        if (attachmentsState) {
+          attachmentsState[fileName] = { id: attachment.id, hash, url: attachment.downloadUrl };
+        }
+        return attachment.downloadUrl;
+      }
+
+    } catch (error) {
+      console.error(`Error uploading ${fileName}:`, error.response?.data || error.message);
+      logEvent({ page: pageTitle, action: 'Attachment failed', detail: `${fileName}: ${errorDetail(error)}`, pageId, file: filePath });
+      return null;
+    }
+  }
+
+  // === ADD LABELS TO PAGE ===
+  // Confluence labels are lowercase and cannot contain spaces
+  async function addLabels(pageId, tags) {
+    if (DRY_RUN || DRY_RUN_LOCAL || !tags) return;
+
+    const labels = [].concat(tags)
+      .map(tag => String(tag).trim().toLowerCase().replace(/\s+/g, '-'))
+      .filter(Boolean)
+      .map(name => ({ prefix: 'global', name }));
+
+    if (labels.length === 0) return;
+
+    try {
+      await confluence.addLabels(pageId, labels);
+      console.log(`Labels set: ${labels.map(label => label.name).join(', ')}`);
+    } catch (error) {
+      console.error(`Error setting labels on ${pageId}:`, error.response?.data || error.message);
+    }
+  }
+
+  // === SET CONTENT PROPERTIES ===
+  // Each entry of properties is stored as a content property of the page,
+  // existing properties are updated with a new version
+  async function setContentProperties(pageId, properties) {
+    if (DRY_RUN || DRY_RUN_LOCAL) return;
+
+    const keys = Object.keys(properties || {});
+    if (keys.length === 0) return;
+
+    let existing = [];
+    try {
+      existing = await confluence.getProperties(pageId);
+    } catch (error) {
+      console.error(`Error fetching properties of ${pageId}:`, error.response?.data || error.message);
+    }
+
+    for (const key of keys) {
+      // Round trip through JSON so dates and other YAML types become plain values
+      const value = JSON.parse(JSON.stringify(properties[key] ?? null));
+      const current = existing.find(property => property.key === key);
+
+      try {
+        await confluence.setProperty(pageId, { key, value }, current);
+        console.log(`Property set: ${key}`);
+      } catch (error) {
+        console.error(`Error setting property "${key}" on ${pageId}:`, error.response?.data || error.message);
+      }
+    }
+  }
+
+  // === EXTRACT FILES FROM INDEX.HTML ===
+  function getHtmlFilesFromIndex() {
+    const indexPath = INDEX_PATH;
+
+    if (!SOURCE.exists(indexPath)) {
+      console.error('Cannot find index.html or index.md in folder:', HTML_FOLDER_PATH);
+      console.error('Please create index.html with a links to your HTML pages');
+      return [];
+    }
+
+    try {
+      const indexHtml = cleanHtml.readPageSource(indexPath, SOURCE);
+      const $ = cheerio.load(indexHtml);
+      const htmlFiles = [{file: indexPath, title: 'Index Page', parentFile: null}]; // Start with index.html, root of the page tree
+
+      console.log(`Analysing ${path.basename(indexPath)}...`);
+
+      const isPageLink = element => cleanHtml.isPageFile($(element).attr('href') || '');
+      const linkPath = element => path.join(HTML_FOLDER_PATH, $(element).attr('href'));
+
+      // Headings seen so far, a link under a heading is a child of the heading link
+      const headings = [];
+      const headingParent = file => {
+        const heading = [...headings].reverse().find(h => h.file && h.file !== file);
+        return heading ? heading.file : indexPath;
+      };
+
+      // Nested lists: a link is a child of the first link of the enclosing list item
+      const listParent = element => {
+        const ownItem = $(element).closest('li')[0];
+        if (!ownItem) return null;
+
+        for (const item of $(ownItem).parents('li').toArray()) {
+          const itemLink = $(item).find('a').toArray()
+            .find(a => isPageLink(a) && $(a).closest('li')[0] === item);
+          if (itemLink) return linkPath(itemLink);
+        }
+        return null;
+      };
+
+      $('h1, h2, h3, h4, h5, h6, a').each((_, element) => {
+        if (/^h[1-6]$/i.test(element.tagName)) {
+          const level = parseInt(element.tagName.substring(1));
+          while (headings.length && headings[headings.length - 1].level >= level) {
+            headings.pop();
+          }
+          const headingLink = $(element).find('a').toArray().find(isPageLink);
+          headings.push({ level, file: headingLink ? linkPath(headingLink) : null });
+          return;
+        }
+
+        const href = $(element).attr('href');
+        const linkText = $(element).text().trim();
+
+        if (href && cleanHtml.isPageFile(href)) {
+          const fullPath = path.join(HTML_FOLDER_PATH, href);
+
+          if (htmlFiles.some(fileData => fileData.file === fullPath)) {
+            // Already listed, first occurrence defines its place in the tree
+            return;
+          }
+
+          if (SOURCE.exists(fullPath)) {
+            // Return objet containing file, title and parent in the page tree
+            htmlFiles.push({ 
+              file: fullPath, 
+              title: linkText || path.basename(href, path.extname(href)), // Fallback to file name if no title was found
+              parentFile: listParent(element) || headingParent(fullPath)
+            });
+            // console.log(`File found: ${href} → "${linkText}"`);
+          } else {
+            console.warn(`Cannot find file: ${href} (${linkText})`);
+          }
+        }
+      });
+
+      if (htmlFiles.length === 0) {
+        console.warn('No linked html found in file index.html');
+        console.log('Please ensure index.html contains links: <a href="page.html">My Page</a>');
+      }
+
+      return htmlFiles;
+
+    } catch (error) {
+      console.error(`Error while reading ${path.basename(indexPath)}:`, error.message);
+      return [];
+    }
+  }
+
+  // === CRAWL LINKED PAGES ===
+  // Check a file against --include and --exclude globs, relative to HTML_FOLDER_PATH
+  function isCrawlable(file) {
+    const relativePath = path.relative(HTML_FOLDER_PATH, file).split(path.sep).join('/');
+    if (INCLUDE_GLOBS.length && !INCLUDE_GLOBS.some(glob => globToRegExp(glob).test(relativePath))) {
+      return false;
+    }
+    return !EXCLUDE_GLOBS.some(glob => globToRegExp(glob).test(relativePath));
+  }
+
+  // Title of a discovered page from its own <title> or first <h1>, null when it
+  // has none. Front matter titles still override it in loadFrontMatter
+  function documentTitle(file) {
+    try {
+      const $ = cheerio.load(cleanHtml.readPageSource(file, SOURCE));
+      return [$('title').first().text(), $('h1').first().text()]
+        .map(text => text.replace(/\s+/g, ' ').trim())
+        .find(Boolean) || null;
+    } catch (error) {
+      console.warn(`Cannot read the title of ${file}:`, error.message);
+      return null;
+    }
+  }
+
+  // Follow local .html and Markdown links from page to page, starting with the files listed
+  // in index.html. Discovered pages are children of the page linking to them
+  function crawlHtmlFiles(filesData) {
+    const found = filesData
+      .filter((fileData, i) => i === 0 || isCrawlable(fileData.file))
+      .map((fileData, i) => ({ ...fileData, depth: i === 0 ? 0 : 1 }));
+    const queue = found.slice(1);
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      if (current.depth >= CRAWL_DEPTH) continue;
+
+      let $;
+      try {
+        $ = cheerio.load(cleanHtml.readPageSource(current.file, SOURCE));
+      } catch (error) {
+        console.warn(`Cannot crawl ${current.file}:`, error.message);
+        continue;
+      }
+
+      $('a').each((_, element) => {
+        const href = ($(element).attr('href') || '').split(/[?#]/)[0];
+        if (!cleanHtml.isPageFile(href) || /^([a-z]+:)?\/\//i.test(href)) return;
+
+        const fullPath = path.join(path.dirname(current.file), cleanHtml.safeDecode(href, decodeURI));
+        if (found.some(fileData => fileData.file === fullPath)) return;
+        if (!SOURCE.exists(fullPath) || !isCrawlable(fullPath)) return;
+
+        // link texts such as "Next" or "here" would give pages the same title
+        const linkText = $(element).text().trim();
+        const fileData = {
+          file: fullPath,
+          title: documentTitle(fullPath) || linkText || path.basename(fullPath, path.extname(fullPath)),
+          parentFile: current.file,
+          depth: current.depth + 1
+        };
+        console.log(`Page discovered: ${path.relative(HTML_FOLDER_PATH, fullPath)} (from ${path.basename(current.file)})`);
+        found.push(fileData);
+        queue.push(fileData);
+      });
+    }
+
+    if (CRAWL_ALL) {
+      // Add every page file of the folder, even if nothing links to it
+      for (const file of SOURCE.listFiles().filter(cleanHtml.isPageFile)) {
+        if (found.some(fileData => fileData.file === file) || !isCrawlable(file)) continue;
+        found.push({ file, title: documentTitle(file) || path.basename(file, path.extname(file)), parentFile: found[0].file });
+        console.log(`Unlinked page added: ${path.relative(HTML_FOLDER_PATH, file)}`);
+      }
+    }
+
+    return found;
+  }
+
+  // === READ FRONT MATTER OF EACH FILE ===
+  // Front matter keys driving the import, other keys become content properties
+  const FRONT_MATTER_KEYS = ['title', 'tags', 'parent'];
+
+  function loadFrontMatter(filesData) {
+    return filesData.map(fileData => {
+      let frontMatter = null;
+      try {
+        frontMatter = cleanHtml.extractFrontMatter(SOURCE.readText(fileData.file)).frontMatter;
+      } catch (error) {
+        console.warn(`Cannot read front matter of ${fileData.file}:`, error.message);
+      }
+
+      if (!frontMatter || typeof frontMatter !== 'object') {
+        return { ...fileData, frontMatter: null };
+      }
+
+      const properties = Object.fromEntries(
+        Object.entries(frontMatter).filter(([key]) => !FRONT_MATTER_KEYS.includes(key))
+      );
+
+      return {
+        ...fileData,
+        // front matter title overrides the link text from index.html
+        title: frontMatter.title ? String(frontMatter.title).trim() : fileData.title,
+        frontMatter,
+        tags: frontMatter.tags,
+        parent: frontMatter.parent != null ? String(frontMatter.parent).trim() : null,
+        properties
+      };
+    });
+  }
+
+  // === RESOLVE PARENT PAGE ===
+  // Front matter parent can be a page ID, a path to another imported file
+  // (relative to the file declaring it) or the title of a page.
+  // Without it, the parent comes from the link hierarchy of index.html
+  function resolveParentReference(fileData, filesData) {
+    const { parent, parentFile, file } = fileData;
+
+    if (!parent) {
+      // No front matter parent, use the place of the link in index.html
+      const structuralParent = filesData.find(data => data.file === parentFile);
+      return structuralParent ? { title: structuralParent.title, file: structuralParent.file } : null;
+    }
+
+    if (/^\d+$/.test(parent)) {
+      return { id: parent };
+    }
+
+    const parentPath = path.join(path.dirname(file), cleanHtml.safeDecode(parent, decodeURI));
+    const parentData = filesData.find(data => data.file === parentPath)
+      || filesData.find(data => data.title === parent || data.sourceTitle === parent);
+
+    return { title: parentData ? parentData.title : parent, file: parentData?.file };
+  }
+
+  // Parents imported in the same run must be created before their children
+  function orderByParent(filesData) {
+    const ordered = [];
+    const visiting = new Set();
+
+    const visit = fileData => {
+      if (ordered.includes(fileData) || visiting.has(fileData)) return;
+      visiting.add(fileData);
+
+      const parentFile = resolveParentReference(fileData, filesData)?.file;
+      const parentData = filesData.find(data => data.file === parentFile);
+      if (parentData) visit(parentData);
+
+      ordered.push(fileData);
+    };
+
+    filesData.forEach(visit);
+    return ordered;
+  }
+
+  // === MAIN FUNCTION ===
+  async function importHtmlFiles() {
+    console.log('Starting import...');
+
+    if (DRY_RUN) {
+      console.log('DRY RUN mode enabled - no modifications will be made');
+    }
+    initLog();
+    initDryRunOutput();
+
+    if (!DRY_RUN && !DRY_RUN_LOCAL) {
+      await initApiClient();
+    } else if (DRY_RUN && SYNC) {
+      // read only, to tell which removed pages the importer owns
+      try {
+        await initApiClient();
+      } catch (error) {
+        console.warn('Cannot connect to Confluence, page ownership is not checked:', error.response?.data || error.message);
+      }
+    }
+
+    // load state of progress
+    const state = loadState();
+
+    // get all referenced files, with titles and metadata from front matter
+    const indexFilesData = getHtmlFilesFromIndex();
+    const sourceFilesData = CRAWL && indexFilesData.length > 0 ? crawlHtmlFiles(indexFilesData) : indexFilesData;
+    // every file of the source, including skipped ones, sync keeps their pages
+    const sourceFiles = new Set(sourceFilesData.map(({ file }) => file));
+    const allFilesData = loadFrontMatter(sourceFilesData.slice(0, LIMIT));
+
+    if (allFilesData.length === 0) {
+      throw new Error('Nothing to process. Check index.html');
+    }
+    console.log(`index contains: ${allFilesData.length} linked files`);
+
+    // final titles, known before any page is converted as links use them
+    applyTitleTemplate(allFilesData);
+    resolveDuplicateTitles(allFilesData);
+    await resolveTitleConflicts(allFilesData, state);
+    await resolveGeneratedTitles(allFilesData);
+
+    // create an indexed object, with file as index
+    const fileToTitle = Object.fromEntries(
+      allFilesData.map(({ file, title }) => [file, title])
+    );
+
+    // files attached once to the shared assets page instead of each page
+    const sharedAssets = findSharedAssets(allFilesData);
+    // anchors of each page targeted by links, marked with anchor macros
+    const linkedAnchors = findLinkedAnchors(allFilesData);
+
+    // page IDs created or updated during this run, indexed by title. Values are
+    // promises, so a child page can wait for a parent imported in parallel
+    const pageIds = {};
+    const context = { state, allFilesData, fileToTitle, pageIds, sharedAssets, linkedAnchors };
+
+    let counter = 0;
+    // every page is converted, only changed pages are pushed, parents first
+    const toTransfer = orderByParent(allFilesData);
+
+    console.log(`Checking: ${toTransfer.length} file(s) for changes${CONCURRENCY > 1 ? `, ${CONCURRENCY} at a time` : ''}`);
+
+    await runPool(toTransfer, CONCURRENCY, async fileData => {
+      counter++;
+      console.log(`\n(${counter}/${toTransfer.length}) Treating: "${fileData.title}" (${fileData.file})`);
+      emitProgress({ type: 'page', index: counter, total: toTransfer.length, title: fileData.title, file: sourcePath(fileData.file) });
+
+      const result = importPage(fileData, context);
+      pageIds[fileData.title] = result.then(({ pageId }) => pageId);
+
+      // Rate limiting - pause between each pushed page
+      const { pageId, unchanged } = await result;
+      if (pageId && !unchanged) {
+        await delay(200);
+      }
+    });
+
+    await uploadSharedAssets(sharedAssets, state, pageIds);
+
+    if (SYNC) {
+      await syncRemovedPages(state, sourceFiles);
+    }
+
+    // Generated pages, counts do not include the report pages themselves
+    await publishReportPages(allFilesData, countEvents());
+
+    if (DRY_RUN_LOCAL) {
+      writePreview(allFilesData);
+    }
+
+    // Write summary of counts at the end of the log
+    const counts = writeLogSummary();
+
+    console.log('\nImport completed!');
+    console.log(`Summary: ${Object.entries(counts).map(([action, count]) => `${count} ${action.toLowerCase()}`).join(', ') || 'nothing done'}`);
+
+    return buildResult(allFilesData, counts);
+  }
+
+  // Result of an import, from the logged events: the last page event of each
+  // file and the attachment events of its page
+  function buildResult(filesData, counts) {
+    const pages = filesData.map(({ file, title }) => {
+      const relativePath = path.relative(HTML_FOLDER_PATH, file);
+      const pageEvent = [...logs].reverse().find(event => event.file === relativePath && PAGE_ACTIONS.includes(event.action));
+      const attachments = logs
+        .filter(event => event.page === title && event.action.startsWith('Attachment'))
+        .map(({ action, detail, pageUrl, file: source }) => ({ action, fileName: detail, url: pageUrl || null, file: source }));
+
+      return {
+        file: relativePath,
+        title,
+        action: pageEvent ? pageEvent.action : 'Not processed',
+        pageId: pageEvent?.pageId || null,
+        pageUrl: pageEvent?.pageUrl || null,
+        attachments
+      };
+    });
+
+    return { pages, counts, events: [...logs] };
+  }
+
+  // Browsable preview of the pages saved by --dry-run-local, following the page tree
+  function writePreview(filesData) {
+    const parents = Object.fromEntries(filesData.map(fileData =>
+      [fileData.title, resolveParentReference(fileData, filesData)?.title || null]
+    ));
+    try {
+      const indexPath = preview.write(parents);
+      console.log(`\nPreview written, open ${indexPath}`);
+    } catch (error) {
+      console.error('Preview failed:', error.message);
+    }
+  }
+
+  // === IMPORT ONE PAGE ===
+  // Convert a file, push the page if it changed, then its attachments.
+  // Returns the page ID (null on failure) and whether the page was unchanged
+  async function importPage(fileData, { state, allFilesData, fileToTitle, pageIds, sharedAssets, linkedAnchors }) {
+    const { file, title } = fileData;
+
+    try {
+      // Read and clean HTML
+      const html = cleanHtml.readPageSource(file, SOURCE);
+      const { content } = cleanHtml.extractFrontMatter(html);
+      const clean_html = cleanHtml.cleanHtml(content, { macroRules: MACRO_RULES });
+      // Process images and links
+      const {confluence_html: converted_html, files, attachmentNames, missingImages, missingFiles, missingPages, rejectedFiles, mismatchedFiles} = await cleanHtml.processImagesAndLinks(clean_html, title, fileToTitle, path.dirname(file), {
+        remoteImages: REMOTE_IMAGES,
+        allowedHosts: ALLOWED_HOSTS,
+        sharedAssets,
+        anchors: linkedAnchors[file] || [],
+        unmatchedLinks: UNMATCHED_LINKS,
+        ...attachmentPolicy
+      });
+      missingImages.forEach(src => logEvent({ page: title, action: 'Missing image', detail: src, file }));
+      missingFiles.forEach(href => logEvent({ page: title, action: 'Missing file', detail: href, file }));
+      missingPages.forEach(href => logEvent({ page: title, action: 'Missing page', detail: href, file }));
+      rejectedFiles.forEach(({ file: reference, reason }) => logEvent({ page: title, action: 'Attachment rejected', detail: `${reference}: ${reason}`, file }));
+      mismatchedFiles.forEach(({ file: fileName, type }) => logEvent({ page: title, action: 'Attachment type mismatch', detail: `${fileName}: content is ${type}`, file }));
+
+      const confluence_html = validateStorage(converted_html, title, file);
+      if (confluence_html === null) {
+        return { pageId: null, unchanged: false };
+      }
+
+      // Hash of the storage body, front matter included as labels and properties come from it
+      const hash = hashContent(`${JSON.stringify(fileData.frontMatter)}\n${confluence_html}`);
+      const pageState = state.pages[file];
+
+      // Create/update page
+      const parentId = (await resolveParentId(fileData, allFilesData, pageIds)) || PARENT_PAGE_ID;
+      const unchanged = isPageUnchanged(pageState, { hash, title, parentId });
+      const pageId = await createOrUpdatePage({
+        title,
+        htmlContent: confluence_html,
+        parentId,
+        file,
+        hash,
+        pageState
+      });
+
+      if (!pageId) {
+        console.error(`Failed to create page ${title}, skipping`);
+        return { pageId: null, unchanged: false };
+      }
+
+      if (!unchanged) {
+        // Apply front matter metadata, and mark the page as owned by the importer
+        await addLabels(pageId, fileData.tags);
+        await setContentProperties(pageId, { ...fileData.properties, [OWNER_PROPERTY]: { source: sourcePath(file) } });
+      }
+
+      // Attachments known for this page, reset if the page was recreated
+      const attachmentsState = pageState?.pageId === pageId ? { ...pageState.attachments } : {};
+
+      // Upload attachments in parallel, under the names used in the page
+      await runPool(files, CONCURRENCY, async filePath => {
+        await uploadAttachment(pageId, filePath, attachmentNames[filePath], title, attachmentsState);
+      });
+
+      if (SYNC) {
+        // Attachments uploaded by a previous run that the page no longer uses
+        const names = files.map(filePath => attachmentNames[filePath]);
+        const knownAttachments = pageId.startsWith('dry-') ? pageState?.attachments || {} : attachmentsState;
+        const stale = Object.entries(knownAttachments).filter(([name]) => !names.includes(name));
+        await removeStaleAttachments(pageState?.pageId || pageId, title, stale, attachmentsState, file);
+      }
+
+      // Record the pushed page, dry runs leave the state untouched
+      if (!pageId.startsWith('dry-')) {
+        state.pages[file] = { pageId, title, parentId: parentId ?? null, hash, attachments: attachmentsState };
+        saveState(state);
+      }
+
+      console.log(`Completed: "${title}"`);
+      return { pageId, unchanged };
+
+    } catch (error) {
+      console.error(`Error processing ${title}:`, error.message);
+      logEvent({ page: title, action: 'Failed', detail: error.message, file });
+      return { pageId: null, unchanged: false };
+    }
+  }
+
+  // === LINKED ANCHORS ===
+  // Ids targeted by links like page.html#section, per linked file: { [file]: [id] }
+  function findLinkedAnchors(filesData) {
+    const anchors = {};
+    filesData.forEach(({ file }) => {
+      try {
+        const { content } = cleanHtml.extractFrontMatter(cleanHtml.readPageSource(file, SOURCE));
+        cleanHtml.listPageAnchors(content, path.dirname(file)).forEach(({ file: linkedFile, anchor }) => {
+          anchors[linkedFile] = [...new Set([...(anchors[linkedFile] || []), anchor])];
+        });
+      } catch (error) {
+        console.warn(`Cannot list links of ${file}:`, error.message);
+      }
+    });
+    return anchors;
+  }
+
+  // === PAGE TITLES ===
+  // Title of a page following --title-template: {title}, {prefix} (--title-prefix)
+  // and {file} (source file name without extension)
+  function formatTitle(title, file = '') {
+    return TITLE_TEMPLATE
+      .replace(/\{title\}/g, () => title)
+      .replace(/\{prefix\}/g, () => TITLE_PREFIX)
+      .replace(/\{file\}/g, () => file ? path.basename(file, path.extname(file)) : '')
+      .trim();
+  }
+
+  // sourceTitle keeps the title from index.html or front matter, front matter
+  // parents may refer to it
+  function applyTitleTemplate(filesData) {
+    filesData.forEach(fileData => {
+      fileData.sourceTitle = fileData.title;
+      fileData.title = formatTitle(fileData.title, fileData.file);
+    });
+  }
+
+  // Title used with the rename policy, numbered from the second attempt
+  function renamedTitle(title, attempt) {
+    return `${RENAME_PREFIX}${title}${RENAME_SUFFIX}${attempt > 1 ? ` (${attempt})` : ''}`;
+  }
+
+  // Remove pages from the import in place, links to them become missing pages
+  function excludePages(filesData, excluded) {
+    excluded.forEach(fileData => filesData.splice(filesData.indexOf(fileData), 1));
+  }
+
+  // Files with the same title would overwrite each other. With --on-conflict
+  // rename or skip, the first file keeps the title, otherwise the import stops
+  function resolveDuplicateTitles(filesData) {
+    const byTitle = {};
+    filesData.forEach(fileData => {
+      byTitle[fileData.title] = [...(byTitle[fileData.title] || []), fileData];
+    });
+    const duplicates = Object.entries(byTitle).filter(([, files]) => files.length > 1);
+    if (duplicates.length === 0) return;
+
+    duplicates.forEach(([title, files]) => {
+      console.warn(`Duplicate title "${title}": ${files.map(({ file }) => sourcePath(file)).join(', ')}`);
+    });
+
+    if (!['rename', 'skip'].includes(ON_CONFLICT)) {
+      throw new Error('Pages with the same title cannot be imported. Change the link texts or use the rename or skip conflict policy');
+    }
+
+    const excluded = [];
+    duplicates.forEach(([title, [, ...others]]) => {
+      others.forEach(fileData => {
+        if (ON_CONFLICT === 'skip') {
+          logEvent({ page: title, action: 'Skipped', detail: 'Duplicate title', file: fileData.file });
+          excluded.push(fileData);
+          return;
+        }
+        let attempt = 1;
+        while (byTitle[renamedTitle(title, attempt)]) attempt++;
+        fileData.title = renamedTitle(title, attempt);
+        byTitle[fileData.title] = [fileData];
+        console.log(`Renamed "${title}" to "${fileData.title}" (${sourcePath(fileData.file)})`);
+      });
+    });
+    excludePages(filesData, excluded);
+  }
+
+  // A title conflicts when an existing page has it and is neither recorded for
+  // the file in the state file nor marked as imported from it
+  async function isTitleConflict(title, file, state) {
+    const existingPage = await confluence.getPageByTitle(title);
+    if (!existingPage || existingPage.id === state.pages[file]?.pageId) return false;
+    return !(await isOwnedPage(existingPage.id, file));
+  }
+
+  // Apply --on-conflict to titles used by pages the importer does not own,
+  // before anything is pushed. Dry runs cannot check, existing pages are unknown
+  async function resolveTitleConflicts(filesData, state) {
+    if (ON_CONFLICT === 'update') return;
+    if (DRY_RUN || DRY_RUN_LOCAL) {
+      console.log('Title conflicts are not checked in dry-run mode');
+      return;
+    }
+
+    const conflicts = [];
+    await runPool(filesData, CONCURRENCY, async fileData => {
+      try {
+        if (await isTitleConflict(fileData.title, fileData.file, state)) {
+          conflicts.push(fileData);
+        }
+      } catch (error) {
+        console.error(`Error checking title "${fileData.title}":`, error.response?.data || error.message);
+        conflicts.push(fileData);
+      }
+    });
+    if (conflicts.length === 0) return;
+
+    conflicts.forEach(({ title, file }) => {
+      console.warn(`Title "${title}" (${sourcePath(file)}) is used by a page that was not imported from this file`);
+    });
+
+    if (ON_CONFLICT === 'fail') {
+      throw new Error(`${conflicts.length} title conflict(s), nothing was pushed`);
+    }
+
+    if (ON_CONFLICT === 'skip') {
+      conflicts.forEach(({ title, file }) => logEvent({ page: title, action: 'Skipped', detail: 'Title used by another page', file }));
+      excludePages(filesData, conflicts);
+      return;
+    }
+
+    const titles = new Set(filesData.map(({ title }) => title));
+    for (const fileData of conflicts) {
+      const title = fileData.title;
+      let attempt = 1;
+      while (titles.has(renamedTitle(title, attempt)) || await isTitleConflict(renamedTitle(title, attempt), fileData.file, state)) {
+        attempt++;
+      }
+      fileData.title = renamedTitle(title, attempt);
+      titles.add(fileData.title);
+      console.log(`Renamed "${title}" to "${fileData.title}" (${sourcePath(fileData.file)})`);
+    }
+  }
+
+  // === GENERATED PAGES ===
+  // Pages written by the importer itself under PARENT_PAGE_ID, marked with the
+  // owner property and their kind. They follow --on-conflict like imported
+  // pages: renamed, or not published when skipped
+  const generatedTitles = {
+    sharedAssets: formatTitle('Shared Assets'),
+    archive: formatTitle('Archived Pages'),
+    report: formatTitle('Import Report'),
+    pageIndex: formatTitle('Page Index')
+  };
+  const skippedGenerated = new Set();
+
+  // Generated pages published by this run
+  function generatedKinds() {
+    return [
+      SHARED_ASSETS && SHARED_ASSETS !== 'index' && 'sharedAssets',
+      SYNC === 'archive' && 'archive',
+      !NO_REPORT && 'report',
+      !NO_PAGE_INDEX && 'pageIndex'
+    ].filter(Boolean);
+  }
+
+  async function isGeneratedPage(pageId, kind) {
+    const properties = await confluence.getProperties(pageId);
+    return properties.find(property => property.key === OWNER_PROPERTY)?.value?.generated === kind;
+  }
+
+  // A generated title conflicts with an imported page, or with an existing page
+  // not marked as this generated page
+  async function isGeneratedTitleConflict(title, kind, titles) {
+    if (titles.has(title)) return true;
+    const existingPage = await confluence.getPageByTitle(title);
+    return Boolean(existingPage) && !(await isGeneratedPage(existingPage.id, kind));
+  }
+
+  // Apply --on-conflict to the generated pages, once the imported titles are final
+  async function resolveGeneratedTitles(filesData) {
+    if (ON_CONFLICT === 'update' || DRY_RUN || DRY_RUN_LOCAL) return;
+
+    const titles = new Set(filesData.map(({ title }) => title));
+    const conflicts = [];
+    for (const kind of generatedKinds()) {
+      try {
+        if (await isGeneratedTitleConflict(generatedTitles[kind], kind, titles)) conflicts.push(kind);
+      } catch (error) {
+        console.error(`Error checking title "${generatedTitles[kind]}":`, error.response?.data || error.message);
+        conflicts.push(kind);
+      }
+    }
+    if (conflicts.length === 0) return;
+
+    conflicts.forEach(kind => {
+      console.warn(`Title "${generatedTitles[kind]}" of a generated page is used by another page`);
+    });
+
+    if (ON_CONFLICT === 'fail') {
+      throw new Error(`${conflicts.length} title conflict(s) with generated pages, nothing was pushed`);
+    }
+
+    for (const kind of conflicts) {
+      const title = generatedTitles[kind];
+      if (ON_CONFLICT === 'skip') {
+        logEvent({ page: title, action: 'Skipped', detail: 'Title used by another page' });
+        skippedGenerated.add(kind);
+        continue;
+      }
+      let attempt = 1;
+      while (await isGeneratedTitleConflict(renamedTitle(title, attempt), kind, titles)) attempt++;
+      generatedTitles[kind] = renamedTitle(title, attempt);
+      titles.add(generatedTitles[kind]);
+      console.log(`Renamed "${title}" to "${generatedTitles[kind]}"`);
+    }
+  }
+
+  // Create or update a generated page and mark it, null when skipped or failed
+  async function publishGeneratedPage(kind, { htmlContent, hash = null, pageState = null }) {
+    if (skippedGenerated.has(kind)) return null;
+
+    const pageId = await createOrUpdatePage({ title: generatedTitles[kind], htmlContent, parentId: PARENT_PAGE_ID, hash, pageState });
+    if (pageId && !DRY_RUN && !DRY_RUN_LOCAL) {
+      try {
+        if (!(await isGeneratedPage(pageId, kind))) {
+          await setContentProperties(pageId, { [OWNER_PROPERTY]: { generated: kind } });
+        }
+      } catch (error) {
+        console.error(`Error marking "${generatedTitles[kind]}":`, error.response?.data || error.message);
+      }
+    }
+    return pageId;
+  }
+
+  // === SHARED ASSETS ===
+
+  // Page holding the shared assets: a dedicated page, or the Index Page
+  function sharedAssetsPage(filesData) {
+    if (SHARED_ASSETS !== 'index') return { title: generatedTitles.sharedAssets, file: null };
+    return { title: filesData.find(fileData => fileData.file === INDEX_PATH)?.title || formatTitle('Index Page', INDEX_PATH), file: INDEX_PATH };
+  }
+
+  // Files used by at least SHARED_MIN_USES pages, or matching --shared-pattern
+  // (relative to HTML_FOLDER_PATH), named once for the whole site.
+  // Files of the Index Page are always shared when it holds the shared assets.
+  // Returns { [absolute path]: { name, pageTitle } }
+  function findSharedAssets(filesData) {
+    if (!SHARED_ASSETS || skippedGenerated.has('sharedAssets')) return {};
+
+    const host = sharedAssetsPage(filesData);
+    const uses = {};
+    const hostFiles = new Set();
+
+    filesData.forEach(({ file }) => {
+      try {
+        const { content } = cleanHtml.extractFrontMatter(cleanHtml.readPageSource(file, SOURCE));
+        cleanHtml.listLocalFiles(content, path.dirname(file), attachmentPolicy).forEach(filePath => {
+          uses[filePath] = (uses[filePath] || 0) + 1;
+          if (file === host.file) hostFiles.add(filePath);
+        });
+      } catch (error) {
+        console.warn(`Cannot list assets of ${file}:`, error.message);
+      }
+    });
+
+    const shared = Object.keys(uses).filter(filePath => {
+      const relativePath = path.relative(HTML_FOLDER_PATH, filePath).split(path.sep).join('/');
+      return hostFiles.has(filePath)
+        || uses[filePath] >= SHARED_MIN_USES
+        || SHARED_PATTERNS.some(glob => globToRegExp(glob).test(relativePath));
+    });
+
+    console.log(`Shared assets: ${shared.length} file(s), attached to "${host.title}"`);
+    const names = cleanHtml.assignAttachmentNames(shared, HTML_FOLDER_PATH);
+    return Object.fromEntries(shared.map(filePath => [filePath, { name: names[filePath], pageTitle: host.title }]));
+  }
+
+  // Upload shared assets once, after the pages, to the page holding them.
+  // The dedicated page is created under PARENT_PAGE_ID and lists its attachments
+  async function uploadSharedAssets(sharedAssets, state, pageIds) {
+    const assets = Object.entries(sharedAssets);
+    if (assets.length === 0) return;
+
+    const { pageTitle } = assets[0][1];
+    console.log(`\nUploading ${assets.length} shared asset(s) to "${pageTitle}"...`);
+
+    const htmlContent = '<p>Files shared by the imported pages.</p>\n<ac:structured-macro ac:name="attachments" />';
+    const hash = SHARED_ASSETS === 'index' ? null : hashContent(htmlContent);
+
+    let pageId;
+    if (SHARED_ASSETS === 'index') {
+      pageId = await pageIds[pageTitle];
+    } else {
+      pageId = await publishGeneratedPage('sharedAssets', { htmlContent, hash, pageState: state.sharedAssets });
+    }
+
+    if (!pageId) {
+      console.error(`No page "${pageTitle}" to attach shared assets to, skipping`);
+      return;
+    }
+
+    // Attachments known for this page, reset if the page was recreated
+    const attachmentsState = state.sharedAssets?.pageId === pageId ? { ...state.sharedAssets.attachments } : {};
+
+    await runPool(assets, CONCURRENCY, async ([filePath, { name }]) => {
+      await uploadAttachment(pageId, filePath, name, pageTitle, attachmentsState);
+    });
+
+    if (SYNC) {
+      const names = assets.map(([, { name }]) => name);
+      const knownAttachments = pageId.startsWith('dry-') ? state.sharedAssets?.attachments || {} : attachmentsState;
+      const stale = Object.entries(knownAttachments).filter(([name]) => !names.includes(name));
+      await removeStaleAttachments(state.sharedAssets?.pageId || pageId, pageTitle, stale, attachmentsState);
+    }
+
+    if (!pageId.startsWith('dry-')) {
+      state.sharedAssets = { pageId, title: pageTitle, parentId: PARENT_PAGE_ID ?? null, hash, attachments: attachmentsState };
+      saveState(state);
+    }
+  }
+
+  // === SYNC WITH THE SOURCE ===
+  // Pages pushed by the importer carry a content property with their source file.
+  // Only pages recorded in the state file and carrying this property are removed
+  const OWNER_PROPERTY = 'confluence-importer';
+
+  // Path of a source file relative to HTML_FOLDER_PATH, with / separators
+  function sourcePath(file) {
+    return path.relative(HTML_FOLDER_PATH, file).split(path.sep).join('/');
+  }
+
+  async function isOwnedPage(pageId, file) {
+    const properties = await confluence.getProperties(pageId);
+    const owner = properties.find(property => property.key === OWNER_PROPERTY);
+    return owner?.value?.source === sourcePath(file);
+  }
+
+  // Delete attachments the importer uploaded and the page no longer references.
+  // stale: [[fileName, { id }]], removed from attachmentsState once deleted
+  async function removeStaleAttachments(pageId, pageTitle, stale, attachmentsState, file = '') {
+    for (const [fileName, { id }] of stale) {
+      if (DRY_RUN || DRY_RUN_LOCAL) {
+        console.log(`Would delete stale attachment: ${fileName}`);
+        logEvent({ page: pageTitle, action: 'Simulated', detail: `Delete attachment ${fileName}`, pageId, file });
+        continue;
+      }
+
+      try {
+        await confluence.deleteAttachment(id);
+        console.log(`Stale attachment deleted: ${fileName}`);
+        logEvent({ page: pageTitle, action: 'Attachment deleted', detail: fileName, pageId, file });
+        delete attachmentsState[fileName];
+      } catch (error) {
+        if (error.response?.status === 404) {
+          delete attachmentsState[fileName];
+          continue;
+        }
+        console.error(`Error deleting attachment ${fileName}:`, error.response?.data || error.message);
+        logEvent({ page: pageTitle, action: 'Attachment failed', detail: `Delete ${fileName}: ${errorDetail(error)}`, pageId, file });
+      }
+    }
+  }
+
+  // Move a page under the archive page, with its current content
+  async function archivePage(pageId, archiveId) {
+    const page = await confluence.getPage(pageId);
+    await confluence.updatePage({
+      id: pageId,
+      title: page.title,
+      body: page.body,
+      version: page.version + 1,
+      parentId: archiveId
+    });
+  }
+
+  // Archive or delete the pages of the state file whose source file is gone.
+  // Skipped files are still in the source, their pages are kept
+  async function syncRemovedPages(state, sourceFiles) {
+    const removed = Object.entries(state.pages).filter(([file]) => !sourceFiles.has(file));
+    console.log(`\nSync: ${removed.length} page(s) removed from the source`);
+
+    let archiveId = null;
+    for (const [file, { pageId, title }] of removed) {
+      try {
+        // dry runs check ownership when connected, like a real run
+        if (confluence && !(await isOwnedPage(pageId, file))) {
+          console.warn(`"${title}" (${pageId}) is not marked as imported from ${sourcePath(file)}, kept`);
+          logEvent({ page: title, action: 'Skipped', detail: 'Not marked as imported, kept', pageId, file });
+          continue;
+        }
+
+        if (DRY_RUN || DRY_RUN_LOCAL) {
+          const unverified = confluence ? '' : ' (ownership not checked)';
+          console.log(`Would ${SYNC} "${title}" (${pageId})${unverified}`);
+          logEvent({ page: title, action: 'Simulated', detail: `${SYNC === 'delete' ? 'Delete' : 'Archive'} page ${pageId}${unverified}`, pageId, file });
+          continue;
+        }
+
+        if (SYNC === 'delete') {
+          await confluence.deletePage(pageId);
+          console.log(`Deleted "${title}" (${pageId})`);
+          logEvent({ page: title, action: 'Deleted', pageId, file });
+        } else {
+          archiveId = archiveId || await publishGeneratedPage('archive', {
+            htmlContent: '<p>Pages removed from the imported source.</p>'
+          });
+          if (!archiveId) {
+            console.error('The archive page was not published, removed pages are kept');
+            return;
+          }
+          await archivePage(pageId, archiveId);
+          console.log(`Archived "${title}" (${pageId})`);
+          logEvent({ page: title, action: 'Archived', detail: `Moved under "${generatedTitles.archive}"`, pageId, pageUrl: confluence.pageUrl(pageId), file });
+        }
+
+        delete state.pages[file];
+        saveState(state);
+      } catch (error) {
+        if (error.response?.status === 404) {
+          // already removed in Confluence
+          if (!DRY_RUN && !DRY_RUN_LOCAL) {
+            delete state.pages[file];
+            saveState(state);
+          }
+          continue;
+        }
+        console.error(`Error removing "${title}":`, error.response?.data || error.message);
+        logEvent({ page: title, action: 'Failed', detail: `${SYNC}: ${errorDetail(error)}`, pageId, file });
+      }
+    }
+  }
+
+  // === IMPORT REPORT AND PAGE INDEX ===
+  const PAGE_ACTIONS = ['Created', 'Updated', 'Skipped', 'Failed', 'Simulated'];
+
+  // Confluence link to an imported page, same format as processImagesAndLinks
+  function pageLink(title) {
+    return `<ac:link><ri:page ri:content-title="${cleanHtml.escapeHTML(title)}" /><ac:plain-text-link-body><![CDATA[${cleanHtml.escapeCDATA(cleanHtml.decodeEntities(title))}]]></ac:plain-text-link-body></ac:link>`;
+  }
+
+  // Table of every processed file with what happened to it, built from the logged events
+  function buildReportHtml(filesData, counts) {
+    const escape = value => cleanHtml.escapeHTML(String(value ?? ''));
+
+    const rows = filesData.map(({ file, title }) => {
+      const relativePath = path.relative(HTML_FOLDER_PATH, file);
+      const pageEvent = [...logs].reverse().find(event => event.file === relativePath && PAGE_ACTIONS.includes(event.action));
+      const otherEvents = logs.filter(event => event.page === title && !PAGE_ACTIONS.includes(event.action));
+      const action = pageEvent ? pageEvent.action : 'Not processed';
+      const details = [pageEvent?.detail, ...otherEvents.map(event => `${event.action}: ${event.detail}`)]
+        .filter(Boolean)
+        .map(escape)
+        .join('<br />');
+
+      return `<tr><td>${escape(relativePath)}</td><td>${action === 'Failed' ? escape(title) : pageLink(title)}</td><td>${escape(action)}</td><td>${details}</td></tr>`;
+    });
+
+    const summary = Object.entries(counts)
+      .map(([action, count]) => `<li>${escape(action)}: ${count}</li>`)
+      .join('');
+
+    return `<p>Import run on ${escape(new Date().toISOString())} from <code>${escape(SOURCE.archive || HTML_FOLDER_PATH)}</code></p>
+  <h2>Summary</h2>
+  <ul>${summary || '<li>Nothing done</li>'}</ul>
+  <h2>Files</h2>
+  <table><tbody>
+  <tr><th>Source file</th><th>Page</th><th>Action</th><th>Details</th></tr>
+  ${rows.join('\n')}
+  </tbody></table>`;
+  }
+
+  // Nested list of imported pages, following the page tree
+  function buildPageIndexHtml(filesData) {
+    const children = parentFile => filesData.filter(fileData =>
+      (resolveParentReference(fileData, filesData)?.file || null) === parentFile
+    );
+
+    const renderList = items => items.length === 0 ? '' :
+      `<ul>${items.map(fileData => `<li>${pageLink(fileData.title)}${renderList(children(fileData.file))}</li>`).join('')}</ul>`;
+
+    return renderList(children(null));
+  }
+
+  // Publish the report and index pages under PARENT_PAGE_ID, regenerated on each run
+  async function publishReportPages(filesData, counts) {
+    if (!NO_REPORT) {
+      console.log(`\nPublishing "${generatedTitles.report}"...`);
+      await publishGeneratedPage('report', { htmlContent: buildReportHtml(filesData, counts) });
+    }
+
+    if (!NO_PAGE_INDEX) {
+      console.log(`\nPublishing "${generatedTitles.pageIndex}"...`);
+      await publishGeneratedPage('pageIndex', { htmlContent: buildPageIndexHtml(filesData) });
+    }
+  }
+
+  // Find the ID of the parent page, if any
+  async function resolveParentId(fileData, filesData, pageIds) {
+    const reference = resolveParentReference(fileData, filesData);
+    if (!reference) return null;
+    if (reference.id) return reference.id;
+
+    if (pageIds[reference.title]) {
+      // the parent may still be in progress in another worker
+      const parentId = await pageIds[reference.title];
+      if (parentId) return parentId;
+    }
+
+    if (DRY_RUN || DRY_RUN_LOCAL) {
+      return `dry-${reference.title}`;
+    }
+
+    const parentPage = await getPageByTitle(reference.title);
+    if (!parentPage) {
+      console.warn(`Parent page "${reference.title}" not found for "${fileData.title}"`);
+      return null;
+    }
+    return parentPage.id;
+  }
+
+  // State file: for each source file, the Confluence page ID, title, parent and
+  // content hash, plus the ID and hash of each attachment
+  // { pages: { [file]: { pageId, title, parentId, hash, attachments: { [fileName]: { id, hash, url } } } } }
+  // sharedAssets records the page holding the shared assets, in the same format
+  function loadState() {
+    if (!IGNORE_STATE && fs.existsSync(STATE_FILE)) {
+      try {
+        const state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+        // older state files only listed transferred files, without hashes
+        return { pages: state.pages || {}, sharedAssets: state.sharedAssets || null };
+      } catch (e) {
+        console.warn('Could not read resume file, it will be reset.');
+        return { pages: {}, sharedAssets: null };
+      }
+    }
+    return { pages: {}, sharedAssets: null };
+  }
+
+  function saveState(state) {
+    fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+  }
+
+  // === VERIFY IMPORTED PAGES ===
+  // Check the <ri:page> and <ri:attachment> references of the pages recorded in
+  // the state file. failedPages counts pages with a broken reference or that cannot be read
+  async function verifyImport() {
+    console.log('Verifying imported pages...');
+    initLog();
+    await initApiClient();
+
+    const state = loadState();
+    const pages = Object.entries(state.pages).map(([file, { pageId, title }]) => ({ file, pageId, title }));
+    if (pages.length === 0) {
+      throw new Error(`No imported page recorded in ${STATE_FILE}`);
+    }
+
+    const verifyPage = createVerifier({ client: confluence, spaceKey: SPACE_KEY });
+    let failedPages = 0;
+    const results = [];
+
+    await runPool(pages, CONCURRENCY, async ({ file, pageId, title }) => {
+      const { pageUrl, references, broken, error } = await verifyPage({ pageId, title });
+      results.push({ file: path.relative(HTML_FOLDER_PATH, file), title, pageId, pageUrl, references, broken, error });
+
+      if (error) {
+        failedPages++;
+        console.error(`Cannot verify "${title}" (${pageId}):`, error);
+        logEvent({ page: title, action: 'Verify failed', detail: error, pageId, pageUrl, file });
+      } else if (broken.length > 0) {
+        failedPages++;
+        console.error(`"${title}": ${broken.length} broken reference(s) out of ${references}`);
+        broken.forEach(({ reference, reason }) => {
+          console.error(`  - ${reference}: ${reason}`);
+          logEvent({ page: title, action: 'Broken reference', detail: `${reference}: ${reason}`, pageId, pageUrl, file });
+        });
+      } else {
+        console.log(`"${title}": ${references} reference(s) OK`);
+        logEvent({ page: title, action: 'Verified', detail: `${references} reference(s)`, pageId, pageUrl, file });
+      }
+    });
+
+    const counts = writeLogSummary();
+    console.log(`\nVerification completed: ${pages.length - failedPages} page(s) OK, ${failedPages} with errors`);
+    return { pages: results, failedPages, counts, events: [...logs] };
+  }
+
+  return { importHtmlFiles, verifyImport };
+}
+
+// Import the site of options.folder, resolves with
+// { pages: [{ file, title, action, pageId, pageUrl, attachments }], counts, events }
+async function importSite(options) {
+  return createImporter(options).importHtmlFiles();
+}
+
+// Check the references of the pages recorded in the state file, resolves with
+// { pages: [{ file, title, pageId, pageUrl, references, broken, error }], failedPages, counts, events }
+async function verifySite(options) {
+  return createImporter(options).verifyImport();
+}
+
+module.exports = { importSite, verifySite };
@@ -1,536 +1,127 @@
-const fs = require('fs');
-const path = require('path');
-const axios = require('axios');
-const cheerio = require('cheerio');
-const FormData = require('form-data');
-const yaml = require('js-yaml');
-const cleanHtml = require('./html');
+const { importSite, verifySite } = require('./importer');
+const { findConfigFile, loadProfile } = require('./config');
 
 require('dotenv').config();
 
-// === ENVIRONMENT VARIABLES VALIDATION ===
-const {
-  CONFLUENCE_BASE_URL,
-  AUTH_EMAIL,
-  API_TOKEN,
-  SPACE_KEY,
-  HTML_FOLDER_PATH,
-  PARENT_PAGE_ID
-} = process.env;
+// Command line wrapper of importer.js: configuration from a profile of the
+// config file, or from .env, options from the command line
 
-if (!CONFLUENCE_BASE_URL || !API_TOKEN || !SPACE_KEY) {
-  console.error('Missing environment variables. Check your .env file');
-  console.error('Required: CONFLUENCE_BASE_URL, API_TOKEN, SPACE_KEY');
-  process.exit(1);
-}
-
-if (!HTML_FOLDER_PATH || !fs.existsSync(HTML_FOLDER_PATH)) {
-  console.error('HTML_FOLDER_PATH folder not found:', HTML_FOLDER_PATH);
-  process.exit(1);
-}
-
-const API_ENDPOINT = `${CONFLUENCE_BASE_URL}/rest/api/content`;
-
-// === STATE MANAGEMENT ===
-const STATE_FILE = path.join(HTML_FOLDER_PATH, 'transfer-state.json');
-
-console.log('Configuration validated');
-
-// === CLI OPTIONS ===
 const args = process.argv.slice(2);
-const DRY_RUN = args.includes('--dry-run');
-const DRY_RUN_LOCAL = args.includes('--dry-run-local');
-const IGNORE_STATE = args.includes('--all');
-const LIMIT = parseInt((args.find(arg => arg.startsWith('--limit=')) || '').split('=')[1]) || Infinity;
-const LOG_PATH = (args.find(arg => arg.startsWith('--log=')) || '').split('=')[1] || null;
-
-
-// === UTILITIES ===
-const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
-
-// === DRY RUN LOCAL SETUP ===
-const DRY_RUN_OUTPUT_DIR = path.join(process.cwd(), 'dryrun-output');
-
-if (DRY_RUN_LOCAL) {
-  // Create dry-run output directory if it doesn't exist
-  if (!fs.existsSync(DRY_RUN_OUTPUT_DIR)) {
-    fs.mkdirSync(DRY_RUN_OUTPUT_DIR, { recursive: true });
-    console.log(`Created folder for dry-run-local: ${DRY_RUN_OUTPUT_DIR}`);
-  }
-}
-
-// === DRY RUN LOCAL FUNCTIONS ===
-function saveDryRunFile(title, content, type = 'html') {
-  if (!DRY_RUN_LOCAL) return null;
-  
-  const sanitizedTitle = title.replace(/[<>:"/\\|?*]/g, '_');
-  const fileName = `${sanitizedTitle}.${type}`;
-  const filePath = path.join(DRY_RUN_OUTPUT_DIR, fileName);
-  
-  try {
-    fs.writeFileSync(filePath, content, 'utf-8');
-    console.log(`Saved locally: ${fileName}`);
-    return filePath;
-  } catch (error) {
-    console.error(`Saving failed for ${fileName}:`, error.message);
-    return null;
-  }
-}
-
-function copyDryRunAsset(srcPath, destName) {
-  if (!DRY_RUN_LOCAL || !fs.existsSync(srcPath)) return null;
-  
-  const destPath = path.join(DRY_RUN_OUTPUT_DIR, 'assets');
-  
-  // folder does not exist, create it
-  if (!fs.existsSync(destPath)) {
-    fs.mkdirSync(destPath, { recursive: true });
-  }
-  
-  const finalDestPath = path.join(destPath, destName);
-  
-  try {
-    fs.copyFileSync(srcPath, finalDestPath);
-    console.log(`Asset saved: ${destName}`);
-    return `./assets/${destName}`;
-  } catch (error) {
-    console.error(`Asset saving failed ${destName}:`, error.message);
-    return null;
-  }
-}
-
-// === LOGGING ===
-// const logs = [];
-// function logEvent(page, action, detail = '', pageUrl = '') {
-//   logs.push({ page, action, detail, pageUrl });
-//   console.log(`${page}: ${action} ${detail ? '- ' + detail : ''}`);
-// }
-
-// === AUTHENTICATION HEADERS HELPER ===
-function getAuthHeaders(additionalHeaders = {}) {
-  if (AUTH_EMAIL) {
-    return {
-      // Basic Auth with email and API token
-      // alternate solution to: { username: AUTH_EMAIL, password: API_TOKEN },
-      'Authorization': `Basic ${Buffer.from(`${AUTH_EMAIL}:${API_TOKEN}`).toString('base64')}`,
-      ...additionalHeaders
-    };
-  }else {
-    return {
-      'Authorization': `Bearer ${API_TOKEN}`,
-      ...additionalHeaders
-    };
-  }
-}
-
-// === AXIOS ERROR HANDLING ===
-async function safeAxiosCall(axiosCall, retries = 3) {
-  for (let i = 0; i < retries; i++) {
-    // console.log(`Attempt ${i + 1}/${retries}`); // on ${axiosCall}`);
-    try {
-      let a = await axiosCall();
-      // console.log('Request successful');
-      return a ;
-    } catch (error) {
-      if (error.response?.status === 429) {
-        const waitTime = Math.pow(2, i) * 1000; // Exponential backoff
-        console.log(`Rate limit reached, waiting ${waitTime}ms...`);
-        await delay(waitTime);
-        continue;
-      }
-      
-      if (i === retries - 1) {
-        throw error; // Last attempt, throw error
-      }
-      console.log( `Error: ${error.response?.status} - ${error.response?.data?.message || error.message}`);
-      console.log(`Attempt ${i + 1}/${retries} failed, retrying...`);
-      await delay(100);
-    }
-  }
-}
-
-// === GET PAGE BY TITLE ===
-async function getPageByTitle(title) {
-  const searchUrl = `${API_ENDPOINT}?title=${encodeURIComponent(title)}&spaceKey=${SPACE_KEY}&expand=version`;
-  
-  try {
-    const response = await safeAxiosCall(() => 
-      axios.get(searchUrl, {
-        headers: getAuthHeaders()
-      })
-    );
-    
-    return response.data.results[0] || null;
-  } catch (error) {
-    console.error(`Error searching page "${title}":`, error.response?.data || error.message);
-    return null;
-  }
-}
-
-// === CREATE OR UPDATE PAGE ===
-async function createOrUpdatePage({ title, htmlContent, parentId }) {
-  if (DRY_RUN) {
-    // logEvent(title, 'Simulated (dry-run)', '');
-    return `dry-${title}`;
-  }
-  
-  if (DRY_RUN_LOCAL) {
-    // Save the HTML content to a local file
-    const savedPath = saveDryRunFile(title, htmlContent, 'html');
-    // logEvent(title, 'Dry-run local', savedPath ? `Saved: ${path.basename(savedPath)}` : 'Saving failed');
-    return `dry-local-${title}`;
-  }
-
-  try {
-    const existingPage = await getPageByTitle(title);
-    
-    if (existingPage) {
-      // Update existing page
-      const newVersion = existingPage.version.number + 1;
-      
-      const response = await safeAxiosCall(() =>
-        axios.put(`${API_ENDPOINT}/${existingPage.id}`, {
-          id: existingPage.id,
-          type: 'page',
-          title,
-          version: { number: newVersion },
-          body: {
-            storage: {
-              value: htmlContent,
-              representation: 'storage',
-            },
-          },
-        }, {
-          headers: getAuthHeaders({ 'Content-Type': 'application/json' })
-        })
-      );
-      
-      const pageUrl = `${CONFLUENCE_BASE_URL}/pages/viewpage.action?pageId=${existingPage.id}`;
-      console.log('Updated', `Version ${newVersion}`, pageUrl);
-      return existingPage.id;
-      
-    } else {
-      // Create new page
-      const response = await safeAxiosCall(() =>
-        axios.post(API_ENDPOINT, {
-          type: 'page',
-          title,
-          space: { key: SPACE_KEY },
-          ancestors: parentId ? [{ id: parentId }] : undefined,
-          body: {
-            storage: {
-              value: htmlContent,
-              representation: 'storage',
-            },
-          },
-        }, {
-          headers: getAuthHeaders({ 'Content-Type': 'application/json' })
-        })
-      );
-      
-      const pageId = response.data.id;
-      const pageUrl = `${CONFLUENCE_BASE_URL}/pages/viewpage.action?pageId=${pageId}`;
-      console.log('Created', `ID ${pageId}`, pageUrl);
-      return pageId;
-    }
-    
-  } catch (error) {
-    console.error(`Error creating/updating "${title}":`, error.response?.data || error.message);
-    // logEvent(title, 'Error', error.message);
-    return null;
-  }
-}
-
-// === GET ATTACHMENT BY ID ===
-async function getAttachmentById(attachmentId) {
-  const url = `${CONFLUENCE_BASE_URL}/rest/api/content/${attachmentId}?expand=_links`;
-  
-  try {
-    const response = await safeAxiosCall(() =>
-      axios.get(url, {
-        headers: getAuthHeaders()
-      })
-    );
-    
-    return response.data;
-  } catch (error) {
-    console.error(`Error fetching attachment ${attachmentId}:`, error.message);
-    return null;
-  }
-}
-
-// === CHECK IF ATTACHMENT EXISTS ===
-async function getExistingAttachment(pageId, fileName) {
-  const url = `${CONFLUENCE_BASE_URL}/rest/api/content/${pageId}/child/attachment`;
-  
-  try {
-    const response = await safeAxiosCall(() =>
-      axios.get(url, {
-        headers: getAuthHeaders(),
-        params: { filename: fileName }
-      })
-    );
-    
-    return response.data.results.find(att => att.title === fileName);
-  } catch (error) {
-    return null;
-  }
-}
-
-// === UPDATE EXISTING ATTACHMENT ===
-async function updateAttachment(pageId, attachmentId, filePath, fileName) {
-  const url = `${CONFLUENCE_BASE_URL}/rest/api/content/${pageId}/child/attachment/${attachmentId}/data`;
-  const form = new FormData();
-  form.append('file', fs.createReadStream(filePath), fileName);
-
-  try {
-    const response = await safeAxiosCall(() =>
-      axios.post(url, form, {
-        headers: getAuthHeaders({
-          ...form.getHeaders(),
-          'X-Atlassian-Token': 'no-check'
-        })
-      })
-    );
-    
-    // Response structure for update is different
-    let downloadLink;
-    if (response.data.results && response.data.results[0]) {
-      downloadLink = response.data.results[0]._links.download;
-    } else if (response.data._links && response.data._links.download) {
-      downloadLink = response.data._links.download;
-    } else {
-      // Fallback: fetch updated attachment
-      const updatedAttachment = await getAttachmentById(attachmentId);
-      downloadLink = updatedAttachment?._links?.download;
-    }
-    
-    if (downloadLink) {
-      return downloadLink.startsWith('http') ? downloadLink : `${CONFLUENCE_BASE_URL}${downloadLink}`;
-    } else {
-      console.error(`Unable to retrieve download link for ${fileName}`);
-      return null;
-    }
-    
-  } catch (error) {
-    console.error(`Error updating ${fileName}:`, error.response?.data || error.message);
-    return null;
-  }
-}
-
-// === UPLOAD FILE ===
-async function uploadAttachment(pageId, filePath, fileName) {
-  if (DRY_RUN) {
-    return `https://dummy.url/${fileName}`;
-  }
-  
-  if (DRY_RUN_LOCAL) {
-    // copy file to dry-run output directory
-    // console.log(pageId, filePath, filePath);
-    const localPath = copyDryRunAsset(filePath, fileName);
-    return localPath || `./assets/${fileName}`;
+// `node main.js verify` checks the references of imported pages, anything else imports
+const COMMAND = args[0] === 'verify' ? 'verify' : 'import';
+
+// Value of --name=value, undefined when absent
+const value = name => {
+  const arg = args.find(arg => arg.startsWith(`--${name}=`));
+  return arg === undefined ? undefined : arg.slice(name.length + 3);
+};
+// Comma separated values of --name, which can be repeated, undefined when absent
+const list = name => {
+  const values = args
+    .filter(arg => arg.startsWith(`--${name}=`))
+    .flatMap(arg => arg.slice(name.length + 3).split(','))
+    .filter(Boolean);
+  return values.length ? values : undefined;
+};
+const number = name => parseInt(value(name)) || undefined;
+
+// === CONFIGURATION ===
+// --profile=name selects a profile of the config file: --config=path, or
+// confluence-importer.yml in the working directory. Without config file the
+// connection comes from the .env variables
+function envConnection() {
+  const {
+    CONFLUENCE_BASE_URL,
+    AUTH_EMAIL,
+    API_TOKEN,
+    SPACE_KEY,
+    HTML_FOLDER_PATH,
+    PARENT_PAGE_ID,
+    CONFLUENCE_API_VERSION = 'auto'
+  } = process.env;
+
+  if (!CONFLUENCE_BASE_URL || !API_TOKEN || !SPACE_KEY) {
+    console.error('Missing environment variables. Check your .env file, or use a config file with --profile');
+    console.error('Required: CONFLUENCE_BASE_URL, API_TOKEN, SPACE_KEY');
+    process.exit(1);
   }
 
-  if (!pageId || pageId.startsWith('dry-')) {
-    console.error(`Invalid page ID for upload ${fileName}`);
-    return null;
+  // HTML_FOLDER_PATH is a folder or a .zip archive
+  if (!HTML_FOLDER_PATH) {
+    console.error('HTML_FOLDER_PATH folder not found:', HTML_FOLDER_PATH);
+    process.exit(1);
   }
 
-  try {
-    // Check if file already exists
-    const existingAttachment = await getExistingAttachment(pageId, fileName);
-    
-    if (existingAttachment) {
-      console.log(`Updating existing attachment: ${fileName}`);
-      return await updateAttachment(pageId, existingAttachment.id, filePath, fileName);
-    } else {
-      // Create new attachment
-      const url = `${CONFLUENCE_BASE_URL}/rest/api/content/${pageId}/child/attachment`;
-      const form = new FormData();
-      form.append('file', fs.createReadStream(filePath), fileName);
-
-      const response = await safeAxiosCall(() =>
-        axios.post(url, form, {
-          headers: getAuthHeaders({
-            ...form.getHeaders(),
-            'X-Atlassian-Token': 'no-check',
-          })
-        })
-      );
-      
-      const downloadLink = response.data.results[0]._links.download;
-      console.log(`New attachment created: ${fileName}`);
-      return `${CONFLUENCE_BASE_URL}${downloadLink}`;
-    }
-    
-  } catch (error) {
-    console.error(`Error uploading ${fileName}:`, error.response?.data || error.message);
-    return null;
-  }
+  return {
+    baseUrl: CONFLUENCE_BASE_URL,
+    email: AUTH_EMAIL,
+    apiToken: API_TOKEN,
+    spaceKey: SPACE_KEY,
+    folder: HTML_FOLDER_PATH,
+    parentPageId: PARENT_PAGE_ID,
+    apiVersion: CONFLUENCE_API_VERSION
+  };
 }
 
-
-// === EXTRACT FILES FROM INDEX.HTML ===
-function getHtmlFilesFromIndex() {
-  const indexPath = path.join(HTML_FOLDER_PATH, 'index.html');
-  
-  if (!fs.existsSync(indexPath)) {
-    console.error('Cannot find index.html in folder:', HTML_FOLDER_PATH);
-    console.error('Please create index.html with a links to your HTML pages');
-    return [];
-  }
-  
+function profileConnection(configFile) {
   try {
-    const indexHtml = fs.readFileSync(indexPath, 'utf-8');
-    const $ = cheerio.load(indexHtml);
-    const htmlFiles = [{file: indexPath, title: 'Index Page'}]; // Start with index.html
-    
-    console.log('Analysing index.html...');
-    
-    $('a').each((_, element) => {
-      const href = $(element).attr('href');
-      const linkText = $(element).text().trim();
-      
-      if (href && href.endsWith('.html')) {
-        const fullPath = path.join(HTML_FOLDER_PATH, href);
-        
-        if (fs.existsSync(fullPath)) {
-          // Return objet containing file and title
-          htmlFiles.push({ 
-            file: fullPath, 
-            title: linkText || path.basename(href, '.html') // Fallback to file name if no title was found
-          });
-          // console.log(`File found: ${href} → "${linkText}"`);
-        } else {
-          console.warn(`Cannot find file: ${href} (${linkText})`);
-        }
-      }
-    });
-    
-    if (htmlFiles.length === 0) {
-      console.warn('No linked html found in file index.html');
-      console.log('Please ensure index.html contains links: <a href="page.html">My Page</a>');
-    }
-    
-    return htmlFiles;
-    
+    const connection = loadProfile(configFile, value('profile'));
+    console.log(`Using profile "${connection.profile}" of ${configFile}`);
+    return connection;
   } catch (error) {
-    console.error('Error while reading index.html:', error.message);
-    return [];
-  }
-}
-
-// === MAIN FUNCTION ===
-async function importHtmlFiles() {
-  console.log('Starting import...');
-
-  if (DRY_RUN) {
-    console.log('DRY RUN mode enabled - no modifications will be made');
-  }
-  // load state of progress
-  const state = loadState();
-
-  // get all referenced files
-  const allFilesData = getHtmlFilesFromIndex().slice(0, LIMIT);
-
-  if (allFilesData.length === 0) {
-    console.error('Nothing to process. Check index.html');
+    console.error(error.message);
     process.exit(1);
   }
-  console.log(`index contains: ${allFilesData.length} linked files`);
-
-  // create an indexed object, with file as index
-  const fileToTitle = Object.fromEntries(
-    allFilesData.map(({ file, title }) => [file, title])
-  );
-
-  let counter = 0;
-  const toTransfer = [] ;
-  // filter already transfered
-  for (const fileData of allFilesData) {
-    const { file, title } = fileData;
-    if (!state.transferred.includes(file)) {
-      toTransfer.push(fileData) ;
-    }
-  }
-
-  console.log(`Remaining: ${toTransfer.length} file(s) to be transfered`);
-
-  for (const fileData of toTransfer) {
-    const { file, title } = fileData;
-    counter++;
-    
-    console.log(`\n(${counter}/${toTransfer.length}) Treating: "${title}" (${file})`);
-    
-    try {
-      // Read and clean HTML
-      const html = fs.readFileSync(file, 'utf-8');
-      const clean_html = cleanHtml.cleanHtml(html);
-      // Process images and links
-      const {confluence_html, files} = await cleanHtml.processImagesAndLinks(clean_html, title, fileToTitle, path.dirname(file) ); 
-
-      // Create/update page
-      const pageId = await createOrUpdatePage({
-        title,
-        htmlContent: confluence_html,
-        parentId: PARENT_PAGE_ID
-      });
-      
-      if (!pageId) {
-        console.error(`Failed to create page ${title}, skipping`);
-        continue;
-      }
-      
-      
-      for( const filePath of files) {
-        const fullPath = path.resolve(HTML_FOLDER_PATH, filePath);
-        const fileName = path.basename(filePath);
-        const uploadedUrl = await uploadAttachment(pageId, fullPath, fileName);
-      }
-      
-      // Add to the transfered file list
-      state.transferred.push(file);
-      saveState(state);
-
-      console.log(`Completed`);
-      
-    } catch (error) {
-      console.error(`Error processing ${title}:`, error.message);
-      // logEvent(title, 'Fatal error', error.message);
-    }
-    
-    // Rate limiting - pause between each page
-    await delay(200);
-  }
-
-  // Write CSV log
-  // if (LOG_PATH) {
-  //   const csv = 'Page,Action,Detail,URL\n' +
-  //     logs.map(l => `"${l.page}","${l.action}","${l.detail}","${l.pageUrl}"`).join('\n');
-  //   fs.writeFileSync(LOG_PATH, csv);
-  //   console.log(`CSV log written: ${LOG_PATH}`);
-  // }
-
-  console.log('\nImport completed!');
-  // console.log(`Summary: ${logs.filter(l => l.action === 'Created').length} created, ${logs.filter(l => l.action === 'Updated').length} updated`);
 }
 
-
-function loadState() {
-  if (!IGNORE_STATE && fs.existsSync(STATE_FILE)) {
-    try {
-      return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
-    } catch (e) {
-      console.warn('Could not read resume file, it will be reset.');
-      return { transferred: [] };
-    }
-  }
-  return { transferred: [] };
+const configFile = value('config') || findConfigFile();
+if (value('profile') && !configFile) {
+  console.error('--profile needs a config file: --config=path or confluence-importer.yml');
+  process.exit(1);
 }
+const connection = configFile ? profileConnection(configFile) : envConnection();
 
-function saveState(state) {
-  fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
-}
+// === CLI OPTIONS ===
+// Options given on the command line override those of the profile
+const cliOptions = {
+  dryRun: args.includes('--dry-run'),
+  dryRunLocal: args.includes('--dry-run-local'),
+  ignoreState: args.includes('--all'),
+  stateFile: value('state-file'),
+  limit: number('limit'),
+  concurrency: number('concurrency'),
+  log: value('log'),
+  logFormat: value('log-format'),
+  macros: value('macros'),
+  remoteImages: value('remote-images'),
+  allowedHosts: list('allowed-hosts'),
+  // --sync mirrors the source: pages removed from it are archived (default) or deleted
+  sync: args.includes('--sync') ? 'archive' : value('sync'),
+  titleTemplate: value('title-template'),
+  titlePrefix: value('title-prefix'),
+  onConflict: value('on-conflict'),
+  renamePrefix: value('rename-prefix'),
+  renameSuffix: value('rename-suffix'),
+  unmatchedLinks: value('unmatched-links'),
+  validate: value('validate'),
+  attachmentExtensions: list('attachment-extensions'),
+  maxAttachmentSize: value('max-attachment-size'),
+  mimeTypes: value('mime-types'),
+  report: !args.includes('--no-report'),
+  pageIndex: !args.includes('--no-page-index'),
+  crawl: args.includes('--crawl'),
+  crawlAll: args.includes('--crawl-all'),
+  crawlDepth: number('crawl-depth'),
+  include: list('include'),
+  exclude: list('exclude'),
+  sharedAssets: args.includes('--shared-assets') ? 'page' : value('shared-assets'),
+  sharedPatterns: list('shared-pattern'),
+  sharedMinUses: number('shared-min-uses')
+};
+const options = {
+  ...connection,
+  ...Object.fromEntries(Object.entries(cliOptions).filter(([, option]) => option !== undefined))
+};
 
 // === GLOBAL ERROR HANDLING ===
 process.on('unhandledRejection', (reason, promise) => {
@@ -539,7 +130,14 @@ process.on('unhandledRejection', (reason, promise) => {
 });
 
 // === EXECUTION ===
-importHtmlFiles().catch(err => {
+// verify exits with code 1 when a reference is broken, so a pipeline can stop on errors
+const run = COMMAND === 'verify'
+  ? verifySite(options).then(({ failedPages }) => {
+    if (failedPages > 0) process.exitCode = 1;
+  })
+  : importSite(options);
+
+run.catch(err => {
   console.error('Fatal error:', err.message);
   process.exit(1);
-});
\ No newline at end of file
+});
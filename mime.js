@@ -0,0 +1,160 @@
+const path = require('path');
+
+// File types of attachments: from the extension, or detected from the first
+// bytes of the content (--mime-types=content), and attachment sizes.
+
+// MIME type of common attachment extensions
+const extensionTypes = {
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.dot': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pps': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.vsd': 'application/vnd.visio',
+  '.vsdx': 'application/vnd.ms-visio.drawing',
+  '.msg': 'application/vnd.ms-outlook',
+  '.odt': 'application/vnd.oasis.opendocument.text',
+  '.ods': 'application/vnd.oasis.opendocument.spreadsheet',
+  '.odp': 'application/vnd.oasis.opendocument.presentation',
+  '.rtf': 'application/rtf',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.drawio': 'application/vnd.jgraph.mxfile',
+  '.zip': 'application/zip',
+  '.7z': 'application/x-7z-compressed',
+  '.rar': 'application/vnd.rar',
+  '.gz': 'application/gzip',
+  '.tar': 'application/x-tar',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.bmp': 'image/bmp',
+  '.ico': 'image/x-icon',
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+  '.ogv': 'video/ogg',
+  '.avi': 'video/x-msvideo',
+  '.wmv': 'video/x-ms-wmv',
+  '.mkv': 'video/x-matroska',
+  '.flv': 'video/x-flv',
+  '.mpg': 'video/mpeg',
+  '.mpeg': 'video/mpeg',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.oga': 'audio/ogg',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.flac': 'audio/flac',
+  '.wma': 'audio/x-ms-wma',
+  '.mid': 'audio/midi'
+};
+
+// Types played by the multimedia macro in the browser, other video and audio
+// files are shown with the view-file macro
+const playableTypes = ['video/mp4', 'video/quicktime', 'video/webm', 'video/ogg', 'audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/mp4', 'audio/aac'];
+
+// Content signatures: bytes at an offset, a string for ASCII
+const signatures = [
+  { type: 'application/pdf', bytes: '%PDF-' },
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/gif', bytes: 'GIF8' },
+  { type: 'image/webp', bytes: 'RIFF', then: { offset: 8, bytes: 'WEBP' } },
+  { type: 'audio/wav', bytes: 'RIFF', then: { offset: 8, bytes: 'WAVE' } },
+  { type: 'video/x-msvideo', bytes: 'RIFF', then: { offset: 8, bytes: 'AVI ' } },
+  { type: 'video/quicktime', offset: 4, bytes: 'ftypqt' },
+  { type: 'audio/mp4', offset: 4, bytes: 'ftypM4A' },
+  { type: 'video/mp4', offset: 4, bytes: 'ftyp' },
+  { type: 'video/webm', bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+  { type: 'audio/ogg', bytes: 'OggS' },
+  { type: 'audio/mpeg', bytes: 'ID3' },
+  { type: 'audio/mpeg', bytes: [0xff, 0xfb] },
+  { type: 'audio/flac', bytes: 'fLaC' },
+  { type: 'video/x-ms-wmv', bytes: [0x30, 0x26, 0xb2, 0x75] },
+  { type: 'application/rtf', bytes: '{\\rtf' },
+  { type: 'application/x-7z-compressed', bytes: [0x37, 0x7a, 0xbc, 0xaf] },
+  { type: 'application/vnd.rar', bytes: 'Rar!' },
+  { type: 'application/gzip', bytes: [0x1f, 0x8b] },
+  // containers of several formats, the extension tells which one
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: 'application/x-ole-storage', bytes: [0xd0, 0xcf, 0x11, 0xe0] }
+];
+
+// Formats stored in a zip or OLE container
+const containerTypes = {
+  'application/zip': ['.docx', '.xlsx', '.pptx', '.vsdx', '.odt', '.ods', '.odp', '.jar'],
+  'application/x-ole-storage': ['.doc', '.dot', '.xls', '.ppt', '.pps', '.vsd', '.msg']
+};
+
+const matches = (buffer, offset, bytes) => {
+  const expected = typeof bytes === 'string' ? Buffer.from(bytes, 'latin1') : Buffer.from(bytes);
+  return buffer.length >= offset + expected.length && buffer.subarray(offset, offset + expected.length).equals(expected);
+};
+
+// === DETECTION ===
+// Types stored as text, only told apart by their extension
+const isTextType = type => /^text\/|[/+](json|xml)$/.test(type) || type === 'application/vnd.jgraph.mxfile';
+
+function mimeTypeFromExtension(fileName) {
+  return extensionTypes[path.extname(fileName).toLowerCase()] || null;
+}
+
+// MIME type of a file content, null for unknown binary content. Text files
+// are SVG, HTML, or of the type of their extension when it is a text format
+function detectMimeType(buffer, fileName = '') {
+  const signature = signatures.find(({ offset = 0, bytes, then }) =>
+    matches(buffer, offset, bytes) && (!then || matches(buffer, then.offset, then.bytes))
+  );
+  if (signature) {
+    const extension = path.extname(fileName).toLowerCase();
+    return (containerTypes[signature.type] || []).includes(extension)
+      ? extensionTypes[extension] || signature.type
+      : signature.type;
+  }
+
+  const head = buffer.subarray(0, 1024).toString('utf-8');
+  if (head.includes('\u0000')) return null;
+  if (/^\s*(<\?xml[^>]*>\s*)?(<!--[^]*?-->\s*)*<svg[\s>]/i.test(head)) return 'image/svg+xml';
+  if (/^\s*(<!doctype html|<html[\s>])/i.test(head)) return 'text/html';
+  const extensionType = mimeTypeFromExtension(fileName);
+  return extensionType && isTextType(extensionType) ? extensionType : 'text/plain';
+}
+
+// 'video' or 'audio' for the multimedia macro, 'file' for other media shown
+// with the view-file macro, null for other types
+function mediaKind(mimeType) {
+  if (!mimeType || !/^(video|audio)\//.test(mimeType)) return null;
+  return playableTypes.includes(mimeType) ? mimeType.split('/')[0] : 'file';
+}
+
+// === SIZES ===
+const sizeUnits = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+
+// Bytes of a size like 500KB, 20MB or 1.5GB (a number is in bytes)
+function parseSize(size) {
+  if (typeof size === 'number') return size;
+  const match = String(size).trim().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/i);
+  if (!match) {
+    throw new Error(`Invalid size: ${size} (expected a number of bytes, or KB, MB, GB)`);
+  }
+  return Math.round(parseFloat(match[1]) * sizeUnits[(match[2] || 'B').toUpperCase()]);
+}
+
+function formatSize(bytes) {
+  const unit = ['GB', 'MB', 'KB'].find(name => bytes >= sizeUnits[name]) || 'B';
+  return `${unit === 'B' ? bytes : (bytes / sizeUnits[unit]).toFixed(1).replace(/\.0$/, '')} ${unit}`;
+}
+
+module.exports = { mimeTypeFromExtension, detectMimeType, mediaKind, parseSize, formatSize };
@@ -0,0 +1,219 @@
+const cheerio = require('cheerio');
+const fs = require('fs');
+const path = require('path');
+const { escapeHTML } = require('./html');
+const { mimeTypeFromExtension } = require('./mime');
+
+// Offline preview of a --dry-run-local import, rendering the storage format
+// approximately as Confluence would:
+//   <outputDir>/preview/index.html        navigation tree of the pages
+//   <outputDir>/preview/<page>.html       one file per page, with the tree
+//   <outputDir>/assets/<page>/<file>      attachments, one folder per page
+// Images, media, links between pages, anchors and common macros are rendered,
+// other macros are shown as placeholders.
+
+const previewStyle = `
+  body { margin: 0; font: 14px/1.5 -apple-system, "Segoe UI", Roboto, Arial, sans-serif; color: #172b4d; display: flex; }
+  nav { width: 260px; min-height: 100vh; padding: 16px; background: #f4f5f7; box-sizing: border-box; flex-shrink: 0; }
+  nav ul { list-style: none; padding-left: 14px; margin: 0; }
+  nav > ul { padding-left: 0; }
+  nav a { color: #42526e; text-decoration: none; }
+  nav a.current { font-weight: bold; color: #0052cc; }
+  main { padding: 24px 40px; max-width: 960px; flex: 1; }
+  a { color: #0052cc; }
+  img { max-width: 100%; }
+  figure.image { margin: 10px 0; }
+  figure.image-left { float: left; margin-right: 16px; }
+  figure.image-right { float: right; margin-left: 16px; }
+  figure.image-center { text-align: center; }
+  figcaption { color: #6b778c; font-size: 12px; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #c1c7d0; padding: 6px 10px; vertical-align: top; }
+  th { background: #f4f5f7; }
+  pre { background: #f4f5f7; padding: 10px; overflow: auto; }
+  .macro { border-radius: 3px; padding: 10px 14px; margin: 10px 0; background: #f4f5f7; }
+  .macro-info { background: #deebff; }
+  .macro-note { background: #eae6ff; }
+  .macro-warning { background: #ffebe6; }
+  .macro-tip { background: #e3fcef; }
+  .macro-title { font-weight: bold; }
+  .macro-placeholder { border: 1px dashed #97a0af; color: #6b778c; background: none; }
+  .status { display: inline-block; padding: 0 4px; border-radius: 3px; font-size: 11px; font-weight: bold; text-transform: uppercase; background: #dfe1e6; }
+  .missing-link { color: #de350b; text-decoration: line-through; }
+`;
+
+const voidElements = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+// File or folder name of a page title, as saved by --dry-run-local
+function safeName(title) {
+  return title.replace(/[<>:"/\\|?*]/g, '_');
+}
+
+const parameter = ($, $macro, name) => $macro.children('ac\\:parameter')
+  .filter((_, el) => $(el).attr('ac:name') === name).first().text();
+
+// === RENDER ONE PAGE ===
+// options.pageHref(title, anchor): link to a page of the preview, null when not previewed
+// options.assetHref(fileName, pageTitle): link to an attachment, pageTitle null for the page itself
+function renderStorage(body, { pageHref, assetHref }) {
+  const $ = cheerio.load(body, { xmlMode: true, decodeEntities: false });
+
+  // inner macros first, their output goes into the body of outer ones
+  $('ac\\:structured-macro').toArray().reverse().forEach(el => {
+    const $macro = $(el);
+    const name = $macro.attr('ac:name');
+    const title = parameter($, $macro, 'title');
+    const richBody = $macro.children('ac\\:rich-text-body').html() || '';
+    const plainBody = $macro.children('ac\\:plain-text-body').text();
+    const titleHtml = title ? `<div class="macro-title">${escapeHTML(title)}</div>` : '';
+
+    let html;
+    if (name === 'anchor') {
+      html = `<a id="${escapeHTML(parameter($, $macro, ''))}"></a>`;
+    } else if (name === 'code' || name === 'noformat') {
+      const language = parameter($, $macro, 'language');
+      html = `<pre${language ? ` data-language="${escapeHTML(language)}"` : ''}><code>${escapeHTML(plainBody)}</code></pre>`;
+    } else if (['info', 'note', 'warning', 'tip', 'panel'].includes(name)) {
+      html = `<div class="macro macro-${name}">${titleHtml}${richBody}</div>`;
+    } else if (name === 'expand') {
+      html = `<details class="macro"><summary>${escapeHTML(title || 'Click here to expand...')}</summary>${richBody}</details>`;
+    } else if (name === 'status') {
+      html = `<span class="status">${escapeHTML(title)}</span>`;
+    } else if (name === 'multimedia' || name === 'view-file') {
+      const $attachment = $macro.find('ri\\:attachment').first();
+      const fileName = $attachment.attr('ri:filename') || '';
+      const src = escapeHTML(assetHref(fileName, $attachment.children('ri\\:page').attr('ri:content-title') || null));
+      const tag = (mimeTypeFromExtension(fileName) || '').startsWith('audio/') ? 'audio' : 'video';
+      html = name === 'multimedia'
+        ? `<${tag} controls="controls" src="${src}"></${tag}>`
+        : `<a href="${src}">${escapeHTML(fileName)}</a>`;
+    } else {
+      html = `<div class="macro macro-placeholder">Macro: ${escapeHTML(name || 'unknown')}${richBody ? `<div>${richBody}</div>` : ''}</div>`;
+    }
+    $macro.replaceWith(html);
+  });
+
+  $('ac\\:image').each((_, el) => {
+    const $image = $(el);
+    const $attachment = $image.children('ri\\:attachment');
+    const url = $image.children('ri\\:url').attr('ri:value');
+    const src = $attachment.length
+      ? assetHref($attachment.attr('ri:filename'), $attachment.children('ri\\:page').attr('ri:content-title') || null)
+      : url;
+    const alt = $image.attr('ac:alt') || $attachment.attr('ri:filename') || '';
+    const attributes = ['width', 'height', 'title']
+      .filter(name => $image.attr(`ac:${name}`))
+      .map(name => ` ${name}="${escapeHTML($image.attr(`ac:${name}`))}"`)
+      .join('');
+    const img = `<img src="${escapeHTML(src || '')}" alt="${escapeHTML(alt)}"${attributes} />`;
+
+    // aligned and captioned images are shown as figures
+    const align = $image.attr('ac:align');
+    const caption = $image.children('ac\\:caption').html();
+    $image.replaceWith(align || caption
+      ? `<figure class="image${align ? ` image-${escapeHTML(align)}` : ''}">${img}${caption ? `<figcaption>${caption}</figcaption>` : ''}</figure>`
+      : img);
+  });
+
+  $('ac\\:link').each((_, el) => {
+    const $link = $(el);
+    const $page = $link.children('ri\\:page');
+    const $attachment = $link.children('ri\\:attachment');
+    const anchor = $link.attr('ac:anchor') || null;
+    const label = $link.children('ac\\:link-body').html()
+      || escapeHTML($link.children('ac\\:plain-text-link-body').text().trim())
+      || escapeHTML($page.attr('ri:content-title') || $attachment.attr('ri:filename') || anchor || '');
+
+    let href;
+    if ($page.length) {
+      href = pageHref($page.attr('ri:content-title'), anchor);
+    } else if ($attachment.length) {
+      href = assetHref($attachment.attr('ri:filename'), $attachment.children('ri\\:page').attr('ri:content-title') || null);
+    } else {
+      href = anchor ? `#${encodeURIComponent(anchor)}` : null;
+    }
+
+    $link.replaceWith(href
+      ? `<a href="${escapeHTML(href)}">${label}</a>`
+      : `<span class="missing-link" title="Page not in this import">${label}</span>`);
+  });
+
+  // anything left from the storage format is unwrapped
+  $('*').toArray().reverse().forEach(el => {
+    if (/^(ac|ri):/.test(el.tagName)) $(el).replaceWith($(el).html() || '');
+  });
+
+  // no self-closing elements in HTML, empty ones get an empty text
+  $('*').each((_, el) => {
+    if (!el.children.length && !voidElements.includes(el.tagName)) $(el).text('');
+  });
+
+  return $.html();
+}
+
+// === PREVIEW SITE ===
+// addPage(title, body) records a page as it is saved, write(parents) writes the
+// preview once every page is known, parents giving the parent title of pages
+// in the tree ({ [title]: parentTitle }), other pages being top level
+function createPreviewSite({ outputDir }) {
+  const previewDir = path.join(outputDir, 'preview');
+  const pages = new Map();
+
+  const pageFile = title => `${safeName(title)}.html`;
+  const pageHref = (title, anchor = null) => pages.has(title)
+    ? `${encodeURIComponent(pageFile(title))}${anchor ? `#${encodeURIComponent(anchor)}` : ''}`
+    : null;
+
+  function renderTree(parents, currentTitle) {
+    const children = parentTitle => [...pages.keys()].filter(title =>
+      (pages.has(parents[title]) ? parents[title] : null) === parentTitle
+    );
+    const renderList = titles => titles.length === 0 ? '' :
+      `<ul>${titles.map(title => `<li><a href="${escapeHTML(pageHref(title))}"${title === currentTitle ? ' class="current"' : ''}>${escapeHTML(title)}</a>${renderList(children(title))}</li>`).join('')}</ul>`;
+    return `<nav><p><a href="index.html"><strong>Preview</strong></a></p>${renderList(children(null))}</nav>`;
+  }
+
+  const pageDocument = (title, tree, content) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8" />
+<title>${escapeHTML(title)}</title>
+<style>${previewStyle}</style>
+</head>
+<body>
+${tree}
+<main>
+${content}
+</main>
+</body>
+</html>
+`;
+
+  return {
+    // Where an attachment of a page is copied, and its link from the preview
+    assetPath: (pageTitle, fileName) => path.join(outputDir, 'assets', safeName(pageTitle), fileName),
+
+    addPage(title, body) {
+      pages.set(title, body);
+    },
+
+    // Returns the path of index.html
+    write(parents = {}) {
+      fs.mkdirSync(previewDir, { recursive: true });
+
+      pages.forEach((body, title) => {
+        const assetHref = (fileName, pageTitle) =>
+          `../assets/${encodeURIComponent(safeName(pageTitle || title))}/${encodeURIComponent(fileName)}`;
+        const content = `<h1>${escapeHTML(title)}</h1>\n${renderStorage(body, { pageHref, assetHref })}`;
+        fs.writeFileSync(path.join(previewDir, pageFile(title)), pageDocument(title, renderTree(parents, title), content), 'utf-8');
+      });
+
+      const indexPath = path.join(previewDir, 'index.html');
+      const intro = `<h1>Import preview</h1>\n<p>${pages.size} page(s), rendered from the storage format saved by the dry run. Macros that are not rendered are shown as placeholders.</p>`;
+      fs.writeFileSync(indexPath, pageDocument('Import preview', renderTree(parents, null), intro), 'utf-8');
+      return indexPath;
+    }
+  };
+}
+
+module.exports = { createPreviewSite, renderStorage };
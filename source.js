@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+
+// Source of the pages to import: a folder, or a .zip archive read without
+// unpacking. Files are addressed by absolute paths, those of an archive being
+// under the archive path (export.zip/site/page.html), so the conversion works
+// the same way for both. Paths outside of the source, like images decoded to a
+// temporary folder, are read from the file system.
+//
+//   root              folder holding the pages, an export wrapped in a single
+//                     top-level folder is opened at that folder
+//   archive           path of the .zip file, null for a folder
+//   exists(file), readFile(file) (Buffer), readText(file), size(file) (bytes),
+//   listFiles() (sorted)
+
+// Files added by archivers, ignored when looking for the top-level folder
+const isArchiverFile = name => name === '__MACOSX' || name === '.DS_Store' || name === 'Thumbs.db';
+
+const isInside = (folder, file) => file === folder || file.startsWith(folder + path.sep);
+
+// === FOLDER ===
+function openFolder(folder) {
+  const listFiles = dir => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(fullPath) : [fullPath];
+  });
+
+  return {
+    archive: null,
+    exists: file => fs.existsSync(file),
+    readFile: file => fs.readFileSync(file),
+    size: file => fs.statSync(file).size,
+    listFiles: root => listFiles(root).sort(),
+    topLevel: dir => fs.readdirSync(dir, { withFileTypes: true })
+      .map(entry => ({ name: entry.name, directory: entry.isDirectory() }))
+  };
+}
+
+// === ZIP ARCHIVE ===
+function openArchive(archivePath) {
+  const files = new Map();
+  const folders = new Set([archivePath]);
+
+  new AdmZip(archivePath).getEntries().forEach(entry => {
+    const fullPath = path.join(archivePath, ...entry.entryName.split('/').filter(Boolean));
+    if (!isInside(archivePath, fullPath) || fullPath === archivePath) return;
+
+    if (!entry.isDirectory) files.set(fullPath, entry);
+    // folders are not always listed as entries, they are known from the files
+    for (let dir = entry.isDirectory ? fullPath : path.dirname(fullPath); dir !== archivePath; dir = path.dirname(dir)) {
+      folders.add(dir);
+    }
+  });
+
+  return {
+    archive: archivePath,
+    exists: file => isInside(archivePath, file) ? files.has(file) || folders.has(file) : fs.existsSync(file),
+    readFile: file => {
+      if (!isInside(archivePath, file)) return fs.readFileSync(file);
+      const entry = files.get(file);
+      if (!entry) throw new Error(`File not found in ${path.basename(archivePath)}: ${path.relative(archivePath, file)}`);
+      return entry.getData();
+    },
+    // uncompressed size, without extracting the file
+    size: file => isInside(archivePath, file) ? files.get(file)?.header.size ?? 0 : fs.statSync(file).size,
+    listFiles: root => [...files.keys()].filter(file => isInside(root, file)).sort(),
+    topLevel: dir => [
+      ...[...folders].filter(folder => path.dirname(folder) === dir).map(folder => ({ name: path.basename(folder), directory: true })),
+      ...[...files.keys()].filter(file => path.dirname(file) === dir).map(file => ({ name: path.basename(file), directory: false }))
+    ]
+  };
+}
+
+// === OPEN SOURCE ===
+// location: folder or .zip file
+function openSource(location) {
+  const resolved = path.resolve(location);
+  const isArchive = fs.statSync(resolved).isFile() && path.extname(resolved).toLowerCase() === '.zip';
+  const backend = isArchive ? openArchive(resolved) : openFolder(resolved);
+
+  // an export holding a single folder, like site.zip/site/..., is opened at that folder
+  let root = resolved;
+  for (;;) {
+    const entries = backend.topLevel(root).filter(entry => !isArchiverFile(entry.name));
+    if (entries.length !== 1 || !entries[0].directory) break;
+    root = path.join(root, entries[0].name);
+  }
+
+  return {
+    root,
+    archive: backend.archive,
+    exists: backend.exists,
+    readFile: backend.readFile,
+    size: backend.size,
+    readText: file => backend.readFile(file).toString('utf-8'),
+    listFiles: () => backend.listFiles(root)
+      .filter(file => !path.relative(root, file).split(path.sep).some(isArchiverFile))
+  };
+}
+
+module.exports = { openSource };
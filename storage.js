@@ -0,0 +1,275 @@
+const cheerio = require('cheerio');
+
+// Storage format check of converted pages, before they are pushed. The body
+// must be well-formed XML, use only the ac:/ri:/at: namespaces, keep "]]>" out
+// of text and use known macros. Most problems can be repaired:
+//   bare & and unknown entities    escaped
+//   unescaped < and ]]> in text    escaped
+//   unquoted or empty attributes   quoted
+//   duplicate attributes, stray /  removed
+//   unclosed and stray tags        closed or removed
+// Unknown namespaces, unknown macros and broken tags are not repaired.
+
+// Macros produced by the conversion, and common Confluence macros
+const knownMacros = [
+  'anchor', 'attachments', 'children', 'code', 'column', 'details', 'excerpt', 'excerpt-include',
+  'expand', 'gallery', 'include', 'info', 'jira', 'multimedia', 'noformat', 'note', 'pagetree',
+  'panel', 'section', 'status', 'tip', 'toc', 'view-file', 'warning', 'widget'
+];
+
+const namespaces = ['ac', 'ri', 'at'];
+const xmlEntities = ['amp', 'lt', 'gt', 'quot', 'apos'];
+const voidElements = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+// HTML named entities are accepted by Confluence, checked with cheerio's decoder
+const entityCache = {};
+function isKnownEntity(name) {
+  if (xmlEntities.includes(name)) return true;
+  if (!(name in entityCache)) {
+    entityCache[name] = cheerio.load(`&${name};`, null, false).text() !== `&${name};`;
+  }
+  return entityCache[name];
+}
+
+// Line, column and source line of an offset, for reports
+function locate(source, offset) {
+  const before = source.slice(0, offset);
+  const line = before.split('\n').length;
+  const lineStart = before.lastIndexOf('\n') + 1;
+  const lineEnd = source.indexOf('\n', offset);
+  const text = source.slice(lineStart, lineEnd === -1 ? source.length : lineEnd);
+  const column = offset - lineStart + 1;
+
+  // at most 80 characters around the column
+  const start = Math.max(0, Math.min(column - 40, text.length - 80));
+  const snippet = `${start > 0 ? '...' : ''}${text.slice(start, start + 80)}${start + 80 < text.length ? '...' : ''}`.trim();
+  return { line, column, snippet };
+}
+
+const prefixOf = name => name.includes(':') ? name.split(':')[0] : null;
+
+// === CHECK STORAGE FORMAT ===
+// options.macros: extra known macro names, like those of macro rules
+// Returns { valid, repairable, problems: [{ line, column, message, snippet, repaired }], html },
+// html being the repaired body. repaired is false for problems left in it
+function checkStorage(source, options = {}) {
+  const macros = [...knownMacros, ...(options.macros || [])];
+  const problems = [];
+  const stack = [];
+  let out = '';
+  let i = 0;
+
+  const problem = (offset, message, repaired = true) => {
+    problems.push({ ...locate(source, offset), message, repaired });
+  };
+
+  // Entity at position i of text or attribute value, escaped when invalid
+  function readEntity(text, at, offset) {
+    const match = text.slice(at).match(/^&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/i);
+    if (!match) {
+      problem(offset, 'Unescaped "&"');
+      return { value: '&amp;', length: 1 };
+    }
+    if (match[1][0] !== '#' && !isKnownEntity(match[1])) {
+      problem(offset, `Unknown entity ${match[0]}`);
+      return { value: `&amp;${match[0].slice(1)}`, length: match[0].length };
+    }
+    return { value: match[0], length: match[0].length };
+  }
+
+  // Attribute value with its entities checked
+  function attributeValue(value, offset) {
+    let result = '';
+    for (let j = 0; j < value.length;) {
+      if (value[j] === '&') {
+        const entity = readEntity(value, j, offset + j);
+        result += entity.value;
+        j += entity.length;
+      } else if (value[j] === '<') {
+        problem(offset + j, 'Unescaped "<" in attribute value');
+        result += '&lt;';
+        j++;
+      } else {
+        result += value[j++];
+      }
+    }
+    return result;
+  }
+
+  // Start tag at i, returns false when it cannot be read, i back at its start
+  function readStartTag() {
+    const start = i;
+    const fail = message => {
+      problem(start, message, false);
+      i = start;
+      return false;
+    };
+    const name = source.slice(i + 1).match(/^[a-z_][\w:.-]*/i)[0];
+    const prefix = prefixOf(name);
+    if (prefix && !namespaces.includes(prefix)) {
+      problem(start, `Unknown namespace in <${name}>`, false);
+    }
+    i += name.length + 1;
+
+    const attributes = {};
+    let tag = `<${name}`;
+    for (;;) {
+      const space = source.slice(i).match(/^\s*/)[0];
+      i += space.length;
+      if (source.startsWith('/>', i) || source[i] === '>') break;
+      if (i >= source.length) return fail(`Unterminated tag <${name}>`);
+      if (source[i] === '/') {
+        problem(i, `Stray "/" in <${name}>`);
+        i++;
+        continue;
+      }
+
+      const attrStart = i;
+      const attrName = (source.slice(i).match(/^[^\s=/>"'<]+/) || [''])[0];
+      if (!attrName) return fail(`Invalid character in <${name}>`);
+      i += attrName.length;
+
+      let value = null;
+      const equals = source.slice(i).match(/^\s*=\s*/);
+      if (equals) {
+        i += equals[0].length;
+        const quote = source[i];
+        if (quote === '"' || quote === "'") {
+          const end = source.indexOf(quote, i + 1);
+          if (end === -1) return fail(`Unterminated value of attribute ${attrName}`);
+          value = attributeValue(source.slice(i + 1, end), i + 1);
+          if (quote === "'") value = value.replace(/"/g, '&quot;');
+          i = end + 1;
+        } else {
+          const unquoted = source.slice(i).match(/^[^\s>]*/)[0].replace(/\/$/, '');
+          problem(attrStart, `Unquoted value of attribute ${attrName}`);
+          value = attributeValue(unquoted, i).replace(/"/g, '&quot;');
+          i += unquoted.length;
+        }
+      } else {
+        problem(attrStart, `Attribute ${attrName} without value`);
+        value = attrName;
+      }
+
+      const attrPrefix = prefixOf(attrName);
+      if (attrPrefix && attrPrefix !== 'xml' && !namespaces.includes(attrPrefix)) {
+        problem(attrStart, `Unknown namespace in attribute ${attrName}`, false);
+      }
+      if (attrName in attributes) {
+        problem(attrStart, `Duplicate attribute ${attrName}`);
+        continue;
+      }
+      attributes[attrName] = value;
+      tag += ` ${attrName}="${value}"`;
+    }
+
+    if (name === 'ac:structured-macro' && !macros.includes(attributes['ac:name'])) {
+      problem(start, `Unknown macro "${attributes['ac:name'] ?? ''}"`, false);
+    }
+
+    if (source.startsWith('/>', i)) {
+      out += `${tag} />`;
+      i += 2;
+    } else if (voidElements.includes(name.toLowerCase())) {
+      problem(start, `Unclosed <${name}>`);
+      out += `${tag} />`;
+      i++;
+    } else {
+      out += `${tag}>`;
+      stack.push({ name, offset: start });
+      i++;
+    }
+    return true;
+  }
+
+  // End tag at i, unclosed elements inside it are closed
+  function readEndTag() {
+    const match = source.slice(i).match(/^<\/([a-z_][\w:.-]*)\s*>/i);
+    if (!match) {
+      problem(i, 'Invalid end tag');
+      out += '&lt;';
+      i++;
+      return;
+    }
+    const name = match[1];
+    const index = stack.map(element => element.name).lastIndexOf(name);
+    if (index === -1) {
+      problem(i, `End tag </${name}> without start tag`);
+    } else {
+      stack.splice(index + 1).reverse().forEach(element => {
+        problem(element.offset, `Unclosed <${element.name}>, closed before </${name}>`);
+        out += `</${element.name}>`;
+      });
+      stack.pop();
+      out += `</${name}>`;
+    }
+    i += match[0].length;
+  }
+
+  // Comment, CDATA section or declaration at i, the last two are removed
+  function readMarkup(open, close, message) {
+    const end = source.indexOf(close, i + open.length);
+    const markup = end === -1 ? `${source.slice(i)}${close}` : source.slice(i, end + close.length);
+    if (end === -1) problem(i, message);
+    if (open === '<!--' || open === '<![CDATA[') {
+      out += markup;
+    }
+    i += end === -1 ? source.length - i : markup.length;
+  }
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (source.startsWith('<!--', i)) {
+      readMarkup('<!--', '-->', 'Unclosed comment');
+    } else if (source.startsWith('<![CDATA[', i)) {
+      readMarkup('<![CDATA[', ']]>', 'Unclosed CDATA section');
+    } else if (source.startsWith('<!', i) || source.startsWith('<?', i)) {
+      problem(i, 'Declarations and processing instructions are not allowed');
+      readMarkup(source.slice(i, i + 2), '>', 'Unclosed declaration');
+    } else if (source.startsWith('</', i)) {
+      readEndTag();
+    } else if (char === '<' && /[a-z_]/i.test(source[i + 1] || '')) {
+      if (!readStartTag()) break;
+    } else if (char === '<') {
+      problem(i, 'Unescaped "<"');
+      out += '&lt;';
+      i++;
+    } else if (char === '&') {
+      const entity = readEntity(source, i, i);
+      out += entity.value;
+      i += entity.length;
+    } else if (source.startsWith(']]>', i)) {
+      problem(i, '"]]>" outside of a CDATA section');
+      out += ']]&gt;';
+      i += 3;
+    } else {
+      const next = source.slice(i).search(/[<&]|]]>/);
+      const end = next === -1 ? source.length : i + next;
+      out += source.slice(i, end);
+      i = end;
+    }
+  }
+
+  // A broken tag stops the check, the rest of the body is kept as is
+  out += source.slice(i);
+  stack.reverse().forEach(element => {
+    problem(element.offset, `Unclosed <${element.name}>`);
+    out += `</${element.name}>`;
+  });
+
+  problems.sort((a, b) => a.line - b.line || a.column - b.column);
+  return {
+    valid: problems.length === 0,
+    repairable: problems.every(p => p.repaired),
+    problems,
+    html: out
+  };
+}
+
+// Problem description for logs: "line 3, column 12: Unescaped "&" (a & b)"
+function describeProblem({ line, column, message, snippet }) {
+  return `line ${line}, column ${column}: ${message} (${snippet})`;
+}
+
+module.exports = { checkStorage, describeProblem, knownMacros };
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveProfile, loadProfile, findConfigFile } = require('../config');
+
+const config = {
+  defaults: { folder: './site', apiVersion: 'v1' },
+  profiles: {
+    staging: {
+      baseUrl: 'https://staging.example.com/wiki',
+      auth: 'bearer',
+      apiToken: '${STAGING_TOKEN}',
+      spaceKey: 'STAGE',
+      parentPageId: 123,
+      titlePrefix: '[Staging] ',
+      attachmentExtensions: ['.pdf', 'xls']
+    },
+    production: {
+      baseUrl: 'https://example.atlassian.net/wiki',
+      auth: 'basic',
+      apiToken: 'token',
+      apiVersion: 'v3',
+      colour: 'red'
+    }
+  }
+};
+
+test('resolveProfile merges the defaults and reads the environment', () => {
+  const options = resolveProfile(config, 'staging', { file: '/configs/importer.yml', env: { STAGING_TOKEN: 'secret' } });
+  assert.deepStrictEqual(options, {
+    profile: 'staging',
+    folder: path.resolve('/configs/site'),
+    apiVersion: 'v1',
+    baseUrl: 'https://staging.example.com/wiki',
+    auth: 'bearer',
+    apiToken: 'secret',
+    spaceKey: 'STAGE',
+    parentPageId: '123',
+    titlePrefix: '[Staging] ',
+    attachmentExtensions: ['.pdf', 'xls']
+  });
+});
+
+test('resolveProfile reports every problem of a profile', () => {
+  assert.throws(() => resolveProfile(config, 'production', { file: 'importer.yml', env: {} }), error => {
+    assert.strictEqual(error.message, [
+      'Invalid profile "production" in importer.yml:',
+      '  - profiles.production.apiVersion is invalid: v3 (expected auto, v1, v2)',
+      `  - profiles.production.colour is not a known field (baseUrl, auth, email, apiToken, spaceKey, parentPageId, apiVersion, folder, stateFile, titlePrefix, titleTemplate, attachmentExtensions, maxAttachmentSize, mimeTypes)`,
+      '  - profiles.production.spaceKey is missing (key of the target space)',
+      '  - profiles.production.email is missing, required by basic authentication'
+    ].join('\n'));
+    return true;
+  });
+  assert.throws(() => resolveProfile(config, 'staging', { env: {} }), /profiles.staging.apiToken: environment variable STAGING_TOKEN is not set/);
+});
+
+test('resolveProfile selects the profile', () => {
+  assert.throws(() => resolveProfile(config, null), /No profile selected in config file, use --profile=name \(staging, production\)/);
+  assert.throws(() => resolveProfile(config, 'prod'), /Unknown profile "prod"/);
+  const options = resolveProfile({ ...config, defaultProfile: 'staging' }, null, { env: { STAGING_TOKEN: 'secret' } });
+  assert.strictEqual(options.profile, 'staging');
+});
+
+test('loadProfile reads YAML and JSON config files', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'confluence-importer-test-'));
+  try {
+    assert.strictEqual(findConfigFile(dir), null);
+    const yamlFile = path.join(dir, 'confluence-importer.yml');
+    fs.writeFileSync(yamlFile, `profiles:
+  staging:
+    baseUrl: https://staging.example.com/wiki
+    apiToken: token
+    spaceKey: STAGE
+    folder: site.zip
+`);
+    assert.strictEqual(findConfigFile(dir), yamlFile);
+    assert.strictEqual(loadProfile(yamlFile).folder, path.join(dir, 'site.zip'));
+
+    const jsonFile = path.join(dir, 'importer.json');
+    fs.writeFileSync(jsonFile, JSON.stringify({ profiles: { production: { ...config.profiles.staging, apiToken: 'token', folder: '/site' } } }));
+    assert.strictEqual(loadProfile(jsonFile, 'production').spaceKey, 'STAGE');
+
+    fs.writeFileSync(jsonFile, '{ "profiles": ');
+    assert.throws(() => loadProfile(jsonFile), /Cannot read config file/);
+    assert.throws(() => loadProfile(path.join(dir, 'missing.yml')), /Config file not found/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createClient } = require('../confluence');
+const { createFakeConfluence } = require('./fake-confluence');
+
+const options = baseUrl => ({
+  baseUrl,
+  spaceKey: 'TEST',
+  call: fn => fn(),
+  headers: (extra = {}) => ({ Authorization: 'Bearer token', ...extra })
+});
+
+async function withServer(serverOptions, fn) {
+  const server = createFakeConfluence(serverOptions);
+  const baseUrl = await server.start();
+  try {
+    await fn(server, baseUrl);
+  } finally {
+    await server.stop();
+  }
+}
+
+const tempDirs = [];
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'confluence-importer-test-'));
+  tempDirs.push(dir);
+  return dir;
+}
+test.after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function tempFile(name, content) {
+  const file = path.join(tempDir(), name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+// === API VERSION ===
+test('createClient detects the API version', async () => {
+  await withServer({}, async (server, baseUrl) => {
+    assert.strictEqual((await createClient(options(baseUrl))).version, 'v1');
+  });
+  await withServer({ v2: true }, async (server, baseUrl) => {
+    assert.strictEqual((await createClient(options(baseUrl))).version, 'v2');
+  });
+});
+
+test('createClient probes the API version through call and reports errors', async () => {
+  await withServer({ v2: true }, async (server, baseUrl) => {
+    const wrapped = [];
+    const client = await createClient({ ...options(baseUrl), call: fn => { wrapped.push(fn); return fn(); } });
+    assert.strictEqual(client.version, 'v2');
+    assert.strictEqual(wrapped.length, 1);
+
+    server.failNext(401, { path: /^\/api\/v2\/spaces$/ });
+    await assert.rejects(createClient(options(baseUrl)), error => error.response?.status === 401);
+    server.failNext(503, { path: /^\/api\/v2\/spaces$/ });
+    await assert.rejects(createClient(options(baseUrl)), error => error.response?.status === 503);
+  });
+});
+
+// === PAGES ===
+for (const v2 of [false, true]) {
+  test(`${v2 ? 'v2' : 'v1'} client creates, finds and updates pages`, async () => {
+    await withServer({ v2 }, async (server, baseUrl) => {
+      const client = await createClient(options(baseUrl));
+
+      const parent = await client.createPage({ title: 'Parent', body: '<p>parent</p>' });
+      const page = await client.createPage({ title: 'Child', body: '<p>v1</p>', parentId: parent.id });
+      assert.deepStrictEqual(page, { id: page.id, title: 'Child', version: 1, parentId: parent.id });
+
+      assert.deepStrictEqual(await client.getPageByTitle('Child'), page);
+      assert.strictEqual(await client.getPageByTitle('Nothing'), null);
+
+      await client.updatePage({ id: page.id, title: 'Child', body: '<p>v2</p>', version: 2 });
+      const updated = await client.getPage(page.id);
+      assert.strictEqual(updated.version, 2);
+      assert.strictEqual(updated.body, '<p>v2</p>');
+      assert.strictEqual(updated.parentId, parent.id);
+
+      await client.deletePage(page.id);
+      assert.strictEqual(server.findPage('Child'), undefined);
+    });
+  });
+}
+
+// === ATTACHMENTS ===
+// Confluence versions answer an attachment update with different shapes
+for (const attachmentUpdate of ['results', 'links', 'empty']) {
+  test(`updateAttachment reads the "${attachmentUpdate}" response shape`, async () => {
+    await withServer({ attachmentUpdate }, async (server, baseUrl) => {
+      const client = await createClient(options(baseUrl));
+      const page = await client.createPage({ title: 'Page', body: '' });
+      const file = tempFile('notes.txt', 'first');
+
+      const created = await client.createAttachment(page.id, file, 'notes.txt');
+      assert.strictEqual(created.title, 'notes.txt');
+      assert.strictEqual(created.downloadUrl, `${baseUrl}/download/attachments/${page.id}/notes.txt`);
+
+      fs.writeFileSync(file, 'second');
+      const updated = await client.updateAttachment(page.id, created.id, file, 'notes.txt');
+      assert.deepStrictEqual(updated, created);
+      assert.strictEqual(server.attachments[page.id][0].content.toString(), 'second');
+      assert.strictEqual(server.attachments[page.id][0].version, 2);
+
+      const fetched = server.calls.filter(call => call.method === 'GET' && call.path.endsWith(created.id));
+      assert.strictEqual(fetched.length, attachmentUpdate === 'empty' ? 1 : 0);
+    });
+  });
+}
+
+test('v2 client finds and deletes attachments', async () => {
+  await withServer({ v2: true }, async (server, baseUrl) => {
+    const client = await createClient(options(baseUrl));
+    const page = await client.createPage({ title: 'Page', body: '' });
+    const created = await client.createAttachment(page.id, tempFile('a.txt', 'a'), 'a.txt');
+
+    assert.deepStrictEqual(await client.getAttachment(page.id, 'a.txt'), created);
+    await client.deleteAttachment(created.id);
+    assert.strictEqual(await client.getAttachment(page.id, 'a.txt'), null);
+  });
+});
+
+// === PROPERTIES ===
+test('setProperty creates then updates a content property', async () => {
+  await withServer({}, async (server, baseUrl) => {
+    const client = await createClient(options(baseUrl));
+    const page = await client.createPage({ title: 'Page', body: '' });
+
+    await client.setProperty(page.id, { key: 'hash', value: { sha: 'a' } });
+    const [current] = await client.getProperties(page.id);
+    await client.setProperty(page.id, { key: 'hash', value: { sha: 'b' } }, current);
+
+    assert.deepStrictEqual(server.properties[page.id].hash, { key: 'hash', value: { sha: 'b' }, version: 2 });
+  });
+});
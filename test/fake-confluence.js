@@ -0,0 +1,250 @@
+const http = require('http');
+
+// In-process fake of the Confluence REST API routes used by the importer, v1
+// (/rest/api/content) and optionally v2 (/api/v2). Every request is recorded in
+// calls, and failNext() makes the next matching requests fail.
+//
+// options.v2: answer on /api/v2, so the client detects Cloud
+// options.attachmentUpdate: response shape of an attachment update,
+//   'results' ({ results: [attachment] }), 'links' (the attachment itself) or
+//   'empty' (nothing, the client fetches the attachment again)
+// options.latency: milliseconds before each answer, maxInFlight then gives the
+//   largest number of requests answered at the same time
+function createFakeConfluence({ v2 = false, attachmentUpdate = 'results', latency = 0 } = {}) {
+  const pages = {};
+  const attachments = {};
+  const properties = {};
+  const labels = {};
+  const calls = [];
+  const failures = [];
+  let nextId = 100;
+  let server = null;
+  let inFlight = 0;
+  let maxInFlight = 0;
+
+  const v1Page = page => ({
+    id: page.id,
+    title: page.title,
+    version: { number: page.version },
+    ancestors: page.parentId ? [{ id: page.parentId }] : [],
+    body: { storage: { value: page.body, representation: 'storage' } }
+  });
+  const v1Attachment = attachment => ({
+    id: attachment.id,
+    title: attachment.title,
+    _links: { download: `/download/attachments/${attachment.pageId}/${encodeURIComponent(attachment.title)}` }
+  });
+
+  // Multipart upload: file name and content of the "file" part
+  function readUpload(body) {
+    const match = body.toString('latin1').match(/filename="([^"]+)"[^]*?\r\n\r\n([^]*?)\r\n--/);
+    return match ? { fileName: match[1], content: Buffer.from(match[2], 'latin1') } : {};
+  }
+
+  function findPage(title) {
+    return Object.values(pages).find(page => page.title === title);
+  }
+
+  function createPage({ title, parentId, body }) {
+    const id = String(nextId++);
+    pages[id] = { id, title, parentId: parentId ? String(parentId) : null, version: 1, body };
+    return pages[id];
+  }
+
+  function upload(pageId, body, attachmentId = null) {
+    const { fileName, content } = readUpload(body);
+    attachments[pageId] = attachments[pageId] || [];
+    let attachment = attachments[pageId].find(att => attachmentId ? att.id === `att${attachmentId.replace(/^att/, '')}` : att.title === fileName);
+    if (attachment) {
+      attachment.content = content;
+      attachment.version++;
+    } else {
+      attachment = { id: `att${nextId++}`, pageId, title: fileName, content, version: 1 };
+      attachments[pageId].push(attachment);
+    }
+    return attachment;
+  }
+
+  function findAttachment(attachmentId) {
+    const id = `att${attachmentId.replace(/^att/, '')}`;
+    return Object.values(attachments).flat().find(att => att.id === id);
+  }
+
+  function route(method, url, body) {
+    const json = () => JSON.parse(body.toString() || '{}');
+    const query = url.searchParams;
+    let m;
+
+    // === v2 ===
+    if (v2 && url.pathname === '/api/v2/spaces') {
+      return [200, { results: [{ id: '9001', key: query.get('keys') || 'TEST' }] }];
+    }
+    if (v2 && url.pathname === '/api/v2/pages') {
+      if (method === 'GET') {
+        const page = findPage(query.get('title'));
+        return [200, { results: page ? [{ id: page.id, title: page.title, version: { number: page.version }, parentId: page.parentId }] : [] }];
+      }
+      const { title, parentId, body: { value } } = json();
+      const page = createPage({ title, parentId, body: value });
+      return [200, { id: page.id, title: page.title, version: { number: 1 }, parentId: page.parentId }];
+    }
+    if (v2 && (m = url.pathname.match(/^\/api\/v2\/pages\/(\d+)$/))) {
+      const page = pages[m[1]];
+      if (!page) return [404, { message: 'Page not found' }];
+      if (method === 'DELETE') {
+        delete pages[m[1]];
+        return [204, null];
+      }
+      if (method === 'PUT') {
+        const { title, parentId, version, body: { value } } = json();
+        Object.assign(page, { title, version: version.number, body: value, parentId: parentId || page.parentId });
+      }
+      return [200, { id: page.id, title: page.title, version: { number: page.version }, parentId: page.parentId, body: { storage: { value: page.body } } }];
+    }
+    if (v2 && (m = url.pathname.match(/^\/api\/v2\/pages\/(\d+)\/attachments$/))) {
+      const results = (attachments[m[1]] || []).filter(att => att.title === query.get('filename'));
+      return [200, { results: results.map(att => ({ id: att.id, title: att.title, downloadLink: v1Attachment(att)._links.download })) }];
+    }
+    if (v2 && (m = url.pathname.match(/^\/api\/v2\/pages\/(\d+)\/properties(?:\/(.+))?$/))) {
+      properties[m[1]] = properties[m[1]] || {};
+      if (method === 'GET') {
+        return [200, { results: Object.values(properties[m[1]]).map(({ key, value, version }) => ({ id: key, key, value, version: { number: version } })) }];
+      }
+      const { key, value, version } = json();
+      properties[m[1]][key] = { key, value, version: version ? version.number : 1 };
+      return [200, {}];
+    }
+    if (v2 && (m = url.pathname.match(/^\/api\/v2\/attachments\/(att\d+)$/)) && method === 'DELETE') {
+      const attachment = findAttachment(m[1]);
+      if (!attachment) return [404, { message: 'Attachment not found' }];
+      attachments[attachment.pageId] = attachments[attachment.pageId].filter(att => att !== attachment);
+      return [204, null];
+    }
+
+    // === v1 ===
+    if (url.pathname === '/rest/api/content') {
+      if (method === 'GET') {
+        const page = findPage(query.get('title'));
+        return [200, { results: page ? [v1Page(page)] : [] }];
+      }
+      const { title, ancestors, body: { storage: { value } } } = json();
+      return [200, v1Page(createPage({ title, parentId: ancestors?.[0]?.id, body: value }))];
+    }
+    if ((m = url.pathname.match(/^\/rest\/api\/content\/(\d+)$/))) {
+      const page = pages[m[1]];
+      if (!page) return [404, { message: 'Page not found' }];
+      if (method === 'DELETE') {
+        delete pages[m[1]];
+        return [204, null];
+      }
+      if (method === 'PUT') {
+        const { title, ancestors, version, body: { storage: { value } } } = json();
+        Object.assign(page, { title, version: version.number, body: value, parentId: ancestors?.[0]?.id || page.parentId });
+      }
+      return [200, v1Page(page)];
+    }
+    if ((m = url.pathname.match(/^\/rest\/api\/content\/(att\d+)$/))) {
+      const attachment = findAttachment(m[1]);
+      if (!attachment) return [404, { message: 'Attachment not found' }];
+      if (method === 'DELETE') {
+        attachments[attachment.pageId] = attachments[attachment.pageId].filter(att => att !== attachment);
+        return [204, null];
+      }
+      return [200, v1Attachment(attachment)];
+    }
+    if ((m = url.pathname.match(/^\/rest\/api\/content\/(\d+)\/child\/attachment$/))) {
+      if (method === 'GET') {
+        const results = (attachments[m[1]] || []).filter(att => att.title === query.get('filename'));
+        return [200, { results: results.map(v1Attachment) }];
+      }
+      return [200, { results: [v1Attachment(upload(m[1], body))] }];
+    }
+    if ((m = url.pathname.match(/^\/rest\/api\/content\/(\d+)\/child\/attachment\/([^/]+)\/data$/))) {
+      const attachment = upload(m[1], body, m[2]);
+      if (attachmentUpdate === 'links') return [200, v1Attachment(attachment)];
+      if (attachmentUpdate === 'empty') return [200, {}];
+      return [200, { results: [v1Attachment(attachment)] }];
+    }
+    if ((m = url.pathname.match(/^\/rest\/api\/content\/(\d+)\/label$/))) {
+      labels[m[1]] = [...new Set([...(labels[m[1]] || []), ...json().map(label => label.name)])];
+      return [200, { results: json() }];
+    }
+    if ((m = url.pathname.match(/^\/rest\/api\/content\/(\d+)\/property(?:\/(.+))?$/))) {
+      properties[m[1]] = properties[m[1]] || {};
+      if (method === 'GET') {
+        return [200, { results: Object.values(properties[m[1]]).map(({ key, value, version }) => ({ id: key, key, value, version: { number: version } })) }];
+      }
+      const { key, value, version } = json();
+      properties[m[1]][key] = { key, value, version: version ? version.number : 1 };
+      return [200, {}];
+    }
+
+    return [404, { message: `No route for ${method} ${url.pathname}` }];
+  }
+
+  function handle(req, res) {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    res.on('finish', () => inFlight--);
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => setTimeout(() => {
+      const body = Buffer.concat(chunks);
+      const url = new URL(req.url, 'http://localhost');
+      const call = { method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), authorization: req.headers.authorization };
+      calls.push(call);
+
+      const send = (status, data, headers = {}) => {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(data === null ? '' : JSON.stringify(data));
+      };
+
+      const failure = failures.find(f => f.count > 0 && (!f.method || f.method === req.method) && (!f.path || f.path.test(url.pathname)));
+      if (failure) {
+        failure.count--;
+        call.failed = failure.status;
+        return send(failure.status, { message: `Injected ${failure.status}` }, failure.headers);
+      }
+
+      try {
+        const [status, data] = route(req.method, url, body);
+        call.status = status;
+        send(status, data);
+      } catch (error) {
+        send(500, { message: error.message });
+      }
+    }, latency));
+  }
+
+  return {
+    pages,
+    attachments,
+    properties,
+    labels,
+    calls,
+
+    // Fail the next `count` requests matching method and path (a RegExp)
+    failNext(status, { count = 1, method = null, path = null, headers = {} } = {}) {
+      failures.push({ status, count, method, path, headers });
+    },
+
+    findPage,
+
+    get maxInFlight() {
+      return maxInFlight;
+    },
+
+    async start() {
+      server = http.createServer(handle);
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      return `http://127.0.0.1:${server.address().port}`;
+    },
+
+    stop() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { createFakeConfluence };
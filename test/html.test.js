@@ -0,0 +1,362 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { cleanHtml, processImagesAndLinks, extractFrontMatter, markdownToHtml, readPageSource, listLocalFiles } = require('../html');
+
+// The sample site of the repository is used as fixture
+const SOURCE = path.join(__dirname, '..', 'source');
+const pageMap = Object.fromEntries(
+  [['firefox.html', 'Firefox'], ['Produit.html', 'Produit'], ['Projet.html', 'Projet'], ['example.html', 'Example']]
+    .map(([file, title]) => [path.join(SOURCE, file), title])
+);
+
+const readSource = file => fs.readFileSync(path.join(SOURCE, file), 'utf-8');
+const convert = (file, options) => processImagesAndLinks(cleanHtml(readSource(file)), pageMap[path.join(SOURCE, file)], pageMap, SOURCE, options);
+
+const tempDirs = [];
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'confluence-importer-test-'));
+  tempDirs.push(dir);
+  return dir;
+}
+test.after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// === cleanHtml ===
+test('cleanHtml removes styles and classes and closes void elements', () => {
+  const html = cleanHtml(readSource('Produit.html'));
+  assert.doesNotMatch(html, /class=|style=/);
+  assert.match(html, /<hr\/>/);
+});
+
+test('cleanHtml converts code blocks, callouts, details and tables', () => {
+  const html = cleanHtml(`
+    <pre><code class="language-js">if (a &lt; b) {}</code></pre>
+    <div class="alert-warning"><p>Careful</p></div>
+    <details><summary>More</summary><p>Hidden</p></details>
+    <table><caption>Totals</caption><thead><tr><th>A</th></tr></thead><tbody><tr><td>1</td></tr></tbody></table>`);
+
+  assert.match(html, /<ac:structured-macro ac:name="code"><ac:parameter ac:name="language">javascript<\/ac:parameter><ac:plain-text-body><!\[CDATA\[if \(a < b\) {}\]\]>/);
+  assert.match(html, /<ac:structured-macro ac:name="warning"><ac:rich-text-body><p>Careful<\/p><\/ac:rich-text-body>/);
+  assert.match(html, /<ac:structured-macro ac:name="expand"><ac:parameter ac:name="title">More<\/ac:parameter><ac:rich-text-body><p>Hidden<\/p>/);
+  assert.match(html, /<p><strong>Totals<\/strong><\/p><table><tbody><tr><th>A<\/th><\/tr><tr><td>1<\/td><\/tr><\/tbody><\/table>/);
+  assert.doesNotMatch(html, /<thead>|<details>|<pre>/);
+});
+
+test('cleanHtml leaves callout classes of table rows, cells and inline elements', () => {
+  const table = '<table><tbody><tr class="info"><td>a</td><td class="warning">b</td></tr></tbody></table>';
+  assert.strictEqual(cleanHtml(table), '<table><tbody><tr><td>a</td><td>b</td></tr></tbody></table>');
+  assert.strictEqual(cleanHtml('<p>See <span class="note">this</span></p>'), '<p>See <span>this</span></p>');
+  assert.match(cleanHtml('<aside class="note"><p>Aside</p></aside>'), /^<ac:structured-macro ac:name="note"><ac:rich-text-body><p>Aside<\/p>/);
+});
+
+test('cleanHtml applies custom macro rules before the defaults', () => {
+  const html = cleanHtml('<div class="info sidebar"><h4>Side</h4><p>Text</p></div>', {
+    macroRules: [{ selector: '.sidebar', macro: 'panel', titleSelector: 'h4', parameters: { bgColor: '#eee' } }]
+  });
+  assert.match(html, /^<ac:structured-macro ac:name="panel">/);
+  assert.match(html, /<ac:parameter ac:name="title">Side<\/ac:parameter>/);
+  assert.match(html, /<ac:parameter ac:name="bgColor">#eee<\/ac:parameter>/);
+  assert.doesNotMatch(html, /ac:name="info"/);
+});
+
+test('cleanHtml keeps a single slash in tags already closed', () => {
+  assert.strictEqual(cleanHtml('<p><img src="a.png" /><br/><hr></p>'), '<p><img src="a.png"/><br/><hr/></p>');
+});
+
+test('cleanHtml keeps image sizes and alignment from attributes, styles and classes', () => {
+  const html = cleanHtml(`<img src="a.png" width="441px" height="426" align="right" />
+<img src="b.png" style="width: 300px; height: 50%; display: block; margin: 0 auto" />
+<figure class="align-left"><img src="c.png" class="shadow" width="80%" /></figure>
+<img src="d.png" class="img-center" />`);
+  assert.match(html, /<img src="a.png" width="441" height="426" align="right"\/>/);
+  assert.match(html, /<img src="b.png" width="300" align="center"\/>/);
+  assert.match(html, /<figure><img src="c.png" align="left"\/><\/figure>/);
+  assert.match(html, /<img src="d.png" align="center"\/>/);
+});
+
+test('extractFrontMatter parses YAML and returns the rest of the page', () => {
+  const { frontMatter, content } = extractFrontMatter('---\ntitle: My Page\ntags: [a, b]\n---\n<h1>My Page</h1>');
+  assert.deepStrictEqual(frontMatter, { title: 'My Page', tags: ['a', 'b'] });
+  assert.strictEqual(content, '<h1>My Page</h1>');
+  assert.strictEqual(extractFrontMatter('<p>none</p>').frontMatter, null);
+});
+
+// === MARKDOWN ===
+test('markdownToHtml renders GFM tables and fenced code for cleanHtml', () => {
+  const html = cleanHtml(markdownToHtml('| A | B |\n|---|---|\n| 1 | 2 |\n\n```js\nif (a < b) {}\n```\n'));
+  assert.match(html, /<table><tbody><tr>\s*<th>A<\/th>\s*<th>B<\/th>\s*<\/tr><tr>\s*<td>1<\/td>/);
+  assert.match(html, /<ac:parameter ac:name="language">javascript<\/ac:parameter><ac:plain-text-body><!\[CDATA\[if \(a < b\) {}/);
+});
+
+test('markdownToHtml keeps the front matter and gives headings GitHub style ids', () => {
+  const html = markdownToHtml('---\ntitle: Guide\n---\n# Getting **started**\n\n## Getting started\n');
+  assert.deepStrictEqual(extractFrontMatter(html).frontMatter, { title: 'Guide' });
+  assert.match(html, /<h1 id="getting-started">Getting <strong>started<\/strong><\/h1>/);
+  assert.match(html, /<h2 id="getting-started-1">Getting started<\/h2>/);
+});
+
+test('Markdown pages link to each other like HTML pages', async () => {
+  const folder = tempDir();
+  fs.writeFileSync(path.join(folder, 'guide.md'), '[Install](setup/install.md#requirements) [Gone](gone.md)\n\n![icon](images/icon.png)\n');
+  const guide = path.join(folder, 'guide.md');
+  const { confluence_html, missingPages, missingImages } = await processImagesAndLinks(
+    cleanHtml(readPageSource(guide)), 'Guide', { [path.join(folder, 'setup', 'install.md')]: 'Install' }, folder
+  );
+
+  assert.match(confluence_html, /<ac:link ac:anchor="requirements">\s*<ri:page ri:content-title="Install"\/>/);
+  assert.deepStrictEqual(missingPages, ['gone.md']);
+  assert.deepStrictEqual(missingImages, ['images/icon.png']);
+});
+
+// === processImagesAndLinks ===
+test('processImagesAndLinks links pages and attaches local images', async () => {
+  const { confluence_html, files, attachmentNames, missingImages } = await convert('Projet.html');
+
+  assert.match(confluence_html, /<ri:page ri:content-title="Produit"\/>\s*<ac:plain-text-link-body><!\[CDATA\[produit\]\]>/);
+  assert.match(confluence_html, /<ac:image ac:width="441" ac:height="426" ac:alt="Projet image1.jpg"><ri:attachment ri:filename="Projet_image1.jpg"\/><\/ac:image>/);
+  // the link of the image to itself is dropped
+  assert.doesNotMatch(confluence_html, /href="images\//);
+  assert.deepStrictEqual(files, [path.join(SOURCE, 'images', 'Projet_image1.jpg')]);
+  assert.strictEqual(attachmentNames[files[0]], 'Projet_image1.jpg');
+  assert.deepStrictEqual(missingImages, []);
+  // external links are kept
+  assert.match(confluence_html, /<a href="http:\/\/www.pmi.org"/);
+});
+
+test('processImagesAndLinks attaches downloadable files', async () => {
+  const { confluence_html, files } = await convert('Produit.html');
+  assert.match(confluence_html, /<ac:link>\s*<ri:attachment ri:filename="test.pdf"\/>/);
+  assert.match(confluence_html, /<ri:attachment ri:filename="test2.pdf"\/>/);
+  assert.deepStrictEqual(files.sort(), [path.join(SOURCE, 'test.pdf'), path.join(SOURCE, 'test2.pdf')]);
+});
+
+test('processImagesAndLinks converts anchors within the page', async () => {
+  const { confluence_html } = await convert('example.html');
+  assert.match(confluence_html, /<ac:link ac:anchor="section2">/);
+  assert.match(confluence_html, /<ac:structured-macro ac:name="anchor">\s*<ac:parameter ac:name="">section2<\/ac:parameter>/);
+});
+
+test('processImagesAndLinks links anchors of other pages and reports unmatched pages', async () => {
+  const html = '<p><a href="Projet.html#Projet">Projet</a> <a href="Pro%64uit.html">Produit</a> <a href="gone.html">Gone</a></p>';
+  const { confluence_html, missingPages } = await processImagesAndLinks(html, 'Test', pageMap, SOURCE, { unmatchedLinks: 'text' });
+
+  assert.match(confluence_html, /<ac:link ac:anchor="Projet">\s*<ri:page ri:content-title="Projet"\/>/);
+  assert.match(confluence_html, /<ri:page ri:content-title="Produit"\/>/);
+  assert.match(confluence_html, / Gone<\/p>/);
+  assert.deepStrictEqual(missingPages, ['gone.html']);
+});
+
+test('processImagesAndLinks escapes link texts in CDATA sections', async () => {
+  const { confluence_html } = await processImagesAndLinks('<p><a href="Projet.html">a ]]&gt; b &amp; c</a></p>', 'Test', pageMap, SOURCE);
+  assert.match(confluence_html, /<!\[CDATA\[a ]]]]><!\[CDATA\[> b & c\]\]>/);
+});
+
+test('processImagesAndLinks keeps references with malformed escapes', async () => {
+  const html = '<p><a href="50%off.html">Sale</a> <a href="50%off.pdf">Flyer</a> <img src="images/50%off.png"/></p>';
+  const { confluence_html, missingPages, missingFiles, missingImages } = await processImagesAndLinks(html, 'Test', pageMap, SOURCE);
+
+  assert.match(confluence_html, /<a href="50%off.html">Sale<\/a>/);
+  assert.deepStrictEqual(missingPages, ['50%off.html']);
+  assert.deepStrictEqual(missingFiles, ['50%off.pdf']);
+  assert.deepStrictEqual(missingImages, ['images/50%off.png']);
+  assert.deepStrictEqual(listLocalFiles(html, SOURCE), []);
+});
+
+test('processImagesAndLinks reports missing images', async () => {
+  const { confluence_html, files, missingImages } = await processImagesAndLinks('<p><img src="images/none.png"/></p>', 'Test', pageMap, SOURCE);
+  assert.deepStrictEqual(missingImages, ['images/none.png']);
+  assert.deepStrictEqual(files, []);
+  assert.doesNotMatch(confluence_html, /ri:attachment/);
+});
+
+test('processImagesAndLinks keeps remote images and decodes data URIs', async () => {
+  const imageDir = tempDir();
+  const pixel = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+  const html = `<p><img src="https://cdn.example.com/logo.png"/><img src="data:image/png;base64,${pixel}"/></p>`;
+  const { confluence_html, files, attachmentNames } = await processImagesAndLinks(html, 'Test', pageMap, SOURCE, { imageDir });
+
+  assert.match(confluence_html, /<ri:url ri:value="https:\/\/cdn.example.com\/logo.png"\/>/);
+  assert.strictEqual(files.length, 1);
+  assert.match(attachmentNames[files[0]], /^image-[0-9a-f]{12}\.png$/);
+  assert.ok(fs.existsSync(files[0]));
+});
+
+test('processImagesAndLinks reports malformed data URIs and image URLs as missing', async () => {
+  const html = '<p><img src="data:image/svg+xml,%3Csvg%ZZ"/><img src="http://exa mple.com/a.png"/><img src="data:image/svg+xml,%3Csvg%2F%3E"/></p>';
+  const options = { imageDir: tempDir(), remoteImages: 'download', allowedHosts: ['example.com'] };
+  const { files, missingImages } = await processImagesAndLinks(html, 'Test', pageMap, SOURCE, options);
+
+  assert.deepStrictEqual(missingImages, ['data:image/svg+xml,%3Csvg%ZZ', 'http://exa mple.com/a.png']);
+  assert.strictEqual(fs.readFileSync(files[0], 'utf-8'), '<svg/>');
+});
+
+test('processImagesAndLinks turns figure captions into image captions', async () => {
+  const html = cleanHtml(`<figure class="center"><img src="images/Projet_image1.jpg" alt="Plan &amp; scope" title="Scope" width="200" />
+<figcaption>The <em>plan</em></figcaption></figure>
+<figure><img src="https://example.com/a.png" /><img src="https://example.com/b.png" /><figcaption>Both</figcaption></figure>`);
+  const { confluence_html } = await processImagesAndLinks(html, 'Test', pageMap, SOURCE);
+
+  assert.match(confluence_html, /<ac:image ac:align="center" ac:width="200" ac:alt="Plan &amp; scope" ac:title="Scope"><ri:attachment ri:filename="Projet_image1.jpg"\/><ac:caption><p>The <em>plan<\/em><\/p><\/ac:caption><\/ac:image>/);
+  // figures of several images are kept with their caption
+  assert.match(confluence_html, /<figure><ac:image><ri:url ri:value="https:\/\/example.com\/a.png"\/><\/ac:image>/);
+  assert.match(confluence_html, /<figcaption>Both<\/figcaption>/);
+  assert.doesNotMatch(confluence_html, /plain-text-body/);
+});
+
+test('processImagesAndLinks links images wrapped in links', async () => {
+  const html = `<p><a href="Produit.html"><img src="images/Projet_image1.jpg"/></a>
+<a href="https://example.com"><img src="https://example.com/a.png"/></a>
+<a href="https://example.com/a.png"><img src="https://example.com/a.png"/></a>
+<a href="full/Projet_image1.jpg"><img src="images/Projet_image1.jpg" width="100"/></a></p>`;
+  const folder = tempDir();
+  fs.mkdirSync(path.join(folder, 'images'));
+  fs.mkdirSync(path.join(folder, 'full'));
+  fs.copyFileSync(path.join(SOURCE, 'images', 'Projet_image1.jpg'), path.join(folder, 'images', 'Projet_image1.jpg'));
+  fs.copyFileSync(path.join(SOURCE, 'images', 'Projet_image1.jpg'), path.join(folder, 'full', 'Projet_image1.jpg'));
+  const { confluence_html, files, attachmentNames } = await processImagesAndLinks(html, 'Test', { [path.join(folder, 'Produit.html')]: 'Produit' }, folder);
+  const image = attachmentNames[path.join(folder, 'images', 'Projet_image1.jpg')];
+  const fullImage = attachmentNames[path.join(folder, 'full', 'Projet_image1.jpg')];
+
+  assert.match(confluence_html, new RegExp(`<ri:page ri:content-title="Produit"/>\\s*<ac:link-body><ac:image><ri:attachment ri:filename="${image}"/></ac:image></ac:link-body>`));
+  assert.match(confluence_html, /<a href="https:\/\/example.com"><ac:image><ri:url ri:value="https:\/\/example.com\/a.png"\/><\/ac:image><\/a>/);
+  assert.doesNotMatch(confluence_html, /<a href="https:\/\/example.com\/a.png">/);
+  // a thumbnail links to the attached full size image
+  assert.match(confluence_html, new RegExp(`<ac:link>\\s*<ri:attachment ri:filename="${fullImage}"/>\\s*<ac:link-body><ac:image ac:width="100">`));
+  assert.strictEqual(files.length, 2);
+});
+
+// Local HTTP stub serving a PNG on /logo.png, and a redirect on /moved to the
+// given location. requests lists the requested paths
+async function imageServer(redirect = null) {
+  const pixel = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64');
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    if (req.url === '/moved' && redirect) {
+      res.writeHead(302, { location: redirect() });
+    } else if (req.url === '/logo.png') {
+      res.writeHead(200, { 'content-type': 'image/png' });
+      return res.end(pixel);
+    } else {
+      res.writeHead(404);
+    }
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const host = `127.0.0.1:${server.address().port}`;
+  return { host, url: pathName => `http://${host}${pathName}`, requests, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test('processImagesAndLinks downloads remote images from allowed hosts only', async () => {
+  const blocked = await imageServer();
+  const allowed = await imageServer(() => blocked.url('/logo.png'));
+  try {
+    const html = `<p><img src="${allowed.url('/logo.png')}"/><img src="${blocked.url('/logo.png')}"/><img src="${allowed.url('/moved')}"/></p>`;
+    const options = { imageDir: tempDir(), remoteImages: 'download', allowedHosts: [allowed.host] };
+    const { confluence_html, files, missingImages } = await processImagesAndLinks(html, 'Test', pageMap, SOURCE, options);
+
+    assert.strictEqual(files.length, 1);
+    assert.match(confluence_html, /<ri:attachment ri:filename="logo-[0-9a-f]{12}.png"\/>/);
+    // the blocked host is kept as a remote image, the redirect to it is not followed
+    assert.match(confluence_html, new RegExp(`<ri:url ri:value="${blocked.url('/logo.png')}"/>`));
+    assert.match(confluence_html, new RegExp(`<ri:url ri:value="${allowed.url('/moved')}"/>`));
+    assert.deepStrictEqual(missingImages, [allowed.url('/moved')]);
+    assert.deepStrictEqual(blocked.requests, []);
+    assert.deepStrictEqual(allowed.requests, ['/logo.png', '/moved']);
+  } finally {
+    await allowed.close();
+    await blocked.close();
+  }
+});
+
+test('processImagesAndLinks follows redirects within the allowed hosts and caps downloads', async () => {
+  const server = await imageServer(() => server.url('/logo.png'));
+  try {
+    const html = `<p><img src="${server.url('/moved')}"/></p>`;
+    const options = { imageDir: tempDir(), remoteImages: 'download', allowedHosts: [server.host] };
+    const { files } = await processImagesAndLinks(html, 'Test', pageMap, SOURCE, options);
+    assert.strictEqual(files.length, 1);
+
+    const { confluence_html, rejectedFiles } = await processImagesAndLinks(html, 'Test', pageMap, SOURCE, { ...options, maxAttachmentSize: 10 });
+    assert.deepStrictEqual(rejectedFiles, [{ file: server.url('/moved'), reason: 'over the 10 B limit' }]);
+    assert.match(confluence_html, /<ri:url ri:value=/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('processImagesAndLinks gives colliding file names a path suffix', async () => {
+  const folder = tempDir();
+  for (const dir of ['a', 'b']) {
+    fs.mkdirSync(path.join(folder, dir));
+    fs.copyFileSync(path.join(SOURCE, 'images', 'firefox-icon.png'), path.join(folder, dir, 'logo.png'));
+  }
+  const { files, attachmentNames } = await processImagesAndLinks('<p><img src="a/logo.png"/><img src="b/logo.png"/></p>', 'Test', {}, folder);
+
+  const names = files.map(file => attachmentNames[file]);
+  assert.strictEqual(new Set(names).size, 2);
+  names.forEach(name => assert.match(name, /^logo-[0-9a-f]{8}\.png$/));
+});
+
+test('processImagesAndLinks references shared assets on their page', async () => {
+  const icon = path.join(SOURCE, 'images', 'firefox-icon.png');
+  const { confluence_html, files } = await convert('firefox.html', {
+    sharedAssets: { [icon]: { name: 'firefox-icon.png', pageTitle: 'Shared Assets' } }
+  });
+  assert.match(confluence_html, /<ri:attachment ri:filename="firefox-icon.png"><ri:page ri:content-title="Shared Assets"\/><\/ri:attachment>/);
+  assert.deepStrictEqual(files, []);
+});
+
+// Folder with a video, an audio file, a legacy video, a PDF and a file without extension
+function mediaFolder() {
+  const folder = tempDir();
+  fs.writeFileSync(path.join(folder, 'demo.mp4'), Buffer.from([0, 0, 0, 0x18, ...Buffer.from('ftypisom')]));
+  fs.writeFileSync(path.join(folder, 'talk.mp3'), 'ID3');
+  fs.writeFileSync(path.join(folder, 'old.avi'), 'RIFF0000AVI ');
+  fs.writeFileSync(path.join(folder, 'report.pdf'), '<!DOCTYPE html><html>Error 404</html>');
+  fs.writeFileSync(path.join(folder, 'manual'), '%PDF-1.4');
+  fs.writeFileSync(path.join(folder, 'big.doc'), Buffer.alloc(2048));
+  return folder;
+}
+
+test('processImagesAndLinks turns video and audio into multimedia and view-file macros', async () => {
+  const folder = mediaFolder();
+  const { confluence_html, files } = await processImagesAndLinks(`<p>
+    <a href="demo.mp4">Watch the demo</a>
+    <a href="old.avi">old.avi</a>
+    <audio controls="controls"><source src="talk.mp3" /></audio>
+    <video src="https://example.com/remote.mp4"></video>
+    <a href="https://example.com/remote.pdf">remote</a>
+  </p>`, 'Test', {}, folder);
+
+  assert.match(confluence_html, /Watch the demo <ac:structured-macro ac:name="multimedia">\s*<ac:parameter ac:name="name"><ri:attachment ri:filename="demo.mp4"\/><\/ac:parameter>/);
+  assert.match(confluence_html, /<ac:structured-macro ac:name="view-file">\s*<ac:parameter ac:name="name"><ri:attachment ri:filename="old.avi"\/>/);
+  assert.match(confluence_html, /<ac:structured-macro ac:name="multimedia">\s*<ac:parameter ac:name="name"><ri:attachment ri:filename="talk.mp3"\/>/);
+  assert.match(confluence_html, /<a href="https:\/\/example.com\/remote.mp4">/);
+  assert.match(confluence_html, /<a href="https:\/\/example.com\/remote.pdf">remote<\/a>/);
+  assert.deepStrictEqual(files.map(file => path.basename(file)).sort(), ['demo.mp4', 'old.avi', 'talk.mp3']);
+});
+
+test('processImagesAndLinks applies the attachment extensions and size limit', async () => {
+  const folder = mediaFolder();
+  const html = '<p><a href="report.pdf">Report</a> <a href="big.doc">Big</a> <a href="manual">Manual</a></p>';
+
+  const limited = await processImagesAndLinks(html, 'Test', {}, folder, { maxAttachmentSize: 1024 });
+  assert.deepStrictEqual(limited.files.map(file => path.basename(file)), ['report.pdf']);
+  assert.deepStrictEqual(limited.rejectedFiles, [{ file: 'big.doc', reason: '2 KB, over the 1 KB limit' }]);
+  assert.match(limited.confluence_html, /<\/ac:link>\s*Big <a href="manual">Manual<\/a>/);
+
+  const onlyPdf = await processImagesAndLinks(html, 'Test', {}, folder, { attachmentExtensions: ['.pdf'] });
+  assert.deepStrictEqual(onlyPdf.files.map(file => path.basename(file)), ['report.pdf']);
+  assert.match(onlyPdf.confluence_html, /<a href="big.doc">Big<\/a>/);
+});
+
+test('processImagesAndLinks detects attachment types from their content', async () => {
+  const folder = mediaFolder();
+  const { files, mismatchedFiles } = await processImagesAndLinks('<p><a href="report.pdf">Report</a> <a href="manual">Manual</a></p>', 'Test', {}, folder, { mimeTypes: 'content' });
+  assert.deepStrictEqual(files.map(file => path.basename(file)), ['report.pdf', 'manual']);
+  assert.deepStrictEqual(mismatchedFiles, [{ file: 'report.pdf', type: 'text/html' }]);
+});
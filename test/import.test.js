@@ -0,0 +1,538 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { importSite, verifySite } = require('../importer');
+const { createFakeConfluence } = require('./fake-confluence');
+const { checkStorage } = require('../storage');
+
+// The importer reports its progress on the console
+test.mock.method(console, 'log', () => {});
+
+// Copy of the sample site, the import writes its state file in the folder
+function copySource() {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'confluence-importer-test-'));
+  fs.cpSync(path.join(__dirname, '..', 'source'), folder, { recursive: true });
+  return folder;
+}
+
+async function withImport(serverOptions, fn) {
+  const server = createFakeConfluence(serverOptions);
+  const baseUrl = await server.start();
+  const folder = copySource();
+  const run = (options = {}) => importSite({
+    baseUrl,
+    apiToken: 'token',
+    spaceKey: 'TEST',
+    folder,
+    report: false,
+    pageIndex: false,
+    ...options
+  });
+  try {
+    await fn({ server, baseUrl, folder, run });
+  } finally {
+    await server.stop();
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+}
+
+const actions = result => Object.fromEntries(result.pages.map(page => [page.file, page.action]));
+
+// === CREATE AND UPDATE ===
+for (const v2 of [false, true]) {
+  test(`imports the site then only pushes changes (${v2 ? 'v2' : 'v1'})`, async () => {
+    await withImport({ v2 }, async ({ server, folder, run }) => {
+      const first = await run();
+      assert.ok(first.pages.length > 0);
+      first.pages.forEach(page => assert.strictEqual(page.action, 'Created', page.file));
+
+      const projet = server.findPage('Projet');
+      assert.match(projet.body, /<ri:page ri:content-title="Produit"\/>/);
+      assert.deepStrictEqual(server.attachments[projet.id].map(att => att.title), ['Projet_image1.jpg']);
+      assert.ok(fs.existsSync(path.join(folder, 'transfer-state.json')));
+
+      const callCount = server.calls.length;
+      const second = await run();
+      second.pages.forEach(page => assert.strictEqual(page.action, 'Skipped', page.file));
+      assert.ok(!server.calls.slice(callCount).some(call => call.method !== 'GET'));
+
+      fs.appendFileSync(path.join(folder, 'Projet.html'), '<p>Changed</p>');
+      const third = await run();
+      assert.strictEqual(actions(third)['Projet.html'], 'Updated');
+      assert.strictEqual(actions(third)['Produit.html'], 'Skipped');
+      assert.strictEqual(server.findPage('Projet').version, 2);
+      assert.match(server.findPage('Projet').body, /<p>Changed<\/p>/);
+    });
+  });
+}
+
+test('updates a page created outside of the importer', async () => {
+  await withImport({}, async ({ server, run }) => {
+    const page = { id: '1', title: 'Produit', parentId: null, version: 3, body: '<p>old</p>' };
+    server.pages[page.id] = page;
+
+    const result = await run();
+    assert.strictEqual(actions(result)['Produit.html'], 'Updated');
+    assert.strictEqual(page.version, 4);
+    assert.notStrictEqual(page.body, '<p>old</p>');
+  });
+});
+
+test('uploads a new version of a changed attachment', async () => {
+  await withImport({ attachmentUpdate: 'empty' }, async ({ server, folder, run }) => {
+    await run();
+    fs.writeFileSync(path.join(folder, 'test.pdf'), 'new content');
+
+    const result = await run();
+    const produit = result.pages.find(page => page.file === 'Produit.html');
+    assert.strictEqual(produit.action, 'Skipped');
+    const updated = produit.attachments.filter(att => att.action === 'Attachment updated');
+    assert.deepStrictEqual(updated.map(att => att.fileName), ['test.pdf']);
+
+    const attachment = server.attachments[server.findPage('Produit').id].find(att => att.title === 'test.pdf');
+    assert.strictEqual(attachment.version, 2);
+    assert.strictEqual(attachment.content.toString(), 'new content');
+  });
+});
+
+// === TITLE CONFLICTS ===
+test('on-conflict fail, skip and rename leave pages of others untouched', async () => {
+  await withImport({}, async ({ server, run }) => {
+    const page = { id: '1', title: 'Produit', parentId: null, version: 3, body: '<p>old</p>' };
+    server.pages[page.id] = page;
+
+    await assert.rejects(run({ onConflict: 'fail' }), /1 title conflict\(s\), nothing was pushed/);
+    assert.ok(server.calls.every(call => call.method === 'GET'));
+
+    const skipped = await run({ onConflict: 'skip' });
+    assert.strictEqual(actions(skipped)['Produit.html'], undefined);
+    assert.ok(skipped.events.some(event => event.page === 'Produit' && event.action === 'Skipped' && event.detail === 'Title used by another page'));
+    assert.strictEqual(actions(skipped)['Projet.html'], 'Created');
+
+    const renamed = await run({ onConflict: 'rename' });
+    assert.strictEqual(actions(renamed)['Produit.html'], 'Created');
+    assert.ok(server.findPage('Produit (imported)'));
+    assert.match(server.findPage('Projet').body, /<ri:page ri:content-title="Produit \(imported\)"\/>/);
+    assert.strictEqual(page.version, 3);
+    assert.strictEqual(page.body, '<p>old</p>');
+  });
+});
+
+test('duplicate link texts stop the import unless renamed or skipped', async () => {
+  await withImport({}, async ({ server, folder, run }) => {
+    fs.writeFileSync(path.join(folder, 'index.html'), '<ul><li><a href="Produit.html">Produit</a></li><li><a href="example.html">Produit</a></li></ul>');
+
+    await assert.rejects(run(), /Pages with the same title cannot be imported/);
+    assert.strictEqual(server.findPage('Produit'), undefined);
+
+    const skipped = await run({ onConflict: 'skip', dryRun: true });
+    assert.deepStrictEqual(skipped.pages.map(page => page.file), ['index.html', 'Produit.html']);
+
+    const renamed = await run({ onConflict: 'rename' });
+    assert.deepStrictEqual(renamed.pages.map(page => [page.file, page.title]), [
+      ['index.html', 'Index Page'],
+      ['Produit.html', 'Produit'],
+      ['example.html', 'Produit (imported)']
+    ]);
+    assert.ok(server.findPage('Produit (imported)'));
+  });
+});
+
+test('generated pages follow the conflict policy', async () => {
+  await withImport({}, async ({ server, run }) => {
+    const page = { id: '1', title: 'Page Index', parentId: null, version: 1, body: '<p>mine</p>' };
+    server.pages[page.id] = page;
+
+    await assert.rejects(run({ onConflict: 'fail', pageIndex: true }), /1 title conflict\(s\) with generated pages/);
+    assert.ok(server.calls.every(call => call.method === 'GET'));
+
+    await run({ onConflict: 'rename', pageIndex: true });
+    const index = server.findPage('Page Index (imported)');
+    assert.match(index.body, /<ri:page ri:content-title="Projet"/);
+    // marked as generated, updated by the next runs
+    await run({ onConflict: 'rename', pageIndex: true });
+    assert.strictEqual(index.version, 2);
+    assert.strictEqual(server.findPage('Page Index (imported) (2)'), undefined);
+
+    const skipped = await run({ onConflict: 'skip', pageIndex: true });
+    assert.ok(skipped.events.some(event => event.page === 'Page Index' && event.action === 'Skipped'));
+    assert.strictEqual(page.version, 1);
+    assert.strictEqual(page.body, '<p>mine</p>');
+  });
+});
+
+test('report and page index links keep titles with a CDATA end', async () => {
+  await withImport({}, async ({ server, folder, run }) => {
+    const produitFile = path.join(folder, 'Produit.html');
+    fs.writeFileSync(produitFile, `---\ntitle: "Prix ]]> coûts"\n---\n${fs.readFileSync(produitFile, 'utf-8')}`);
+
+    await run({ report: true, pageIndex: true });
+    for (const title of ['Page Index', 'Import Report']) {
+      const { body } = server.findPage(title);
+      assert.deepStrictEqual(checkStorage(body).problems, [], title);
+      assert.match(body, /<!\[CDATA\[Prix ]]]]><!\[CDATA\[> coûts]]>/);
+    }
+  });
+});
+
+// === ERRORS ===
+test('waits and retries when rate limited', async () => {
+  await withImport({}, async ({ server, run }) => {
+    server.failNext(429, { count: 2, method: 'POST', path: /^\/rest\/api\/content$/, headers: { 'Retry-After': '0' } });
+
+    const result = await run();
+    result.pages.forEach(page => assert.strictEqual(page.action, 'Created', page.file));
+    assert.strictEqual(server.calls.filter(call => call.failed === 429).length, 2);
+  });
+});
+
+test('concurrency limits the requests in flight, pages and attachments together', async () => {
+  await withImport({ latency: 60 }, async ({ server, folder, run }) => {
+    // pages with several attachments each, imported side by side
+    const names = ['a', 'b', 'c', 'd'];
+    names.forEach(name => fs.copyFileSync(path.join(folder, 'test.pdf'), path.join(folder, `${name}.pdf`)));
+    fs.writeFileSync(path.join(folder, 'index.html'), `<ul>${names.map(name => `<li><a href="${name}.html">${name}</a></li>`).join('')}</ul>`);
+    names.forEach(name => fs.writeFileSync(path.join(folder, `${name}.html`), names.map(file => `<a href="${file}.pdf">${file}</a>`).join(' ')));
+    const result = await run({ concurrency: 2 });
+    assert.ok(result.pages.every(page => page.action === 'Created'));
+    assert.strictEqual(server.maxInFlight, 2);
+  });
+});
+
+test('retries server errors and reports pages still failing', async () => {
+  await withImport({}, async ({ server, run }) => {
+    // the first creation succeeds on its last attempt, the next one fails on every attempt
+    server.failNext(503, { count: 2, method: 'POST', path: /^\/rest\/api\/content$/ });
+    server.failNext(500, { count: 3, method: 'POST', path: /^\/rest\/api\/content$/ });
+
+    const result = await run();
+    const failed = result.pages.filter(page => page.action === 'Failed');
+    assert.strictEqual(failed.length, 1);
+    assert.strictEqual(result.pages.filter(page => page.action === 'Created').length, result.pages.length - 1);
+    assert.strictEqual(result.counts.Failed, 1);
+
+    // the failed page is pushed again on the next run
+    const retry = await run();
+    assert.strictEqual(actions(retry)[failed[0].file], 'Created');
+  });
+});
+
+// === MARKDOWN ===
+test('imports a Markdown site listed by index.md', async () => {
+  await withImport({}, async ({ server, folder, run }) => {
+    fs.rmSync(path.join(folder, 'index.html'));
+    fs.writeFileSync(path.join(folder, 'index.md'), '# Docs\n\n- [Guide](guide.md)\n  - [Install](setup/install.md)\n');
+    fs.writeFileSync(path.join(folder, 'guide.md'), '---\ntags: [docs]\n---\nSee [requirements](setup/install.md#requirements).\n');
+    fs.mkdirSync(path.join(folder, 'setup'));
+    fs.writeFileSync(path.join(folder, 'setup', 'install.md'), '![icon](../images/firefox-icon.png)\n\n## Requirements\n');
+
+    const result = await run();
+    assert.deepStrictEqual(result.pages.map(page => [page.file, page.title, page.action]), [
+      ['index.md', 'Index Page', 'Created'],
+      ['guide.md', 'Guide', 'Created'],
+      [path.join('setup', 'install.md'), 'Install', 'Created']
+    ]);
+
+    const guide = server.findPage('Guide');
+    const install = server.findPage('Install');
+    assert.strictEqual(install.parentId, guide.id);
+    assert.match(guide.body, /<ac:link ac:anchor="requirements">\s*<ri:page ri:content-title="Install"\/>/);
+    assert.match(install.body, /<ac:parameter ac:name="">requirements<\/ac:parameter>/);
+    assert.deepStrictEqual(server.attachments[install.id].map(att => att.title), ['firefox-icon.png']);
+    assert.deepStrictEqual(server.labels[guide.id], ['docs']);
+  });
+});
+
+
+test('repairs the storage format or fails the page before it is pushed', async () => {
+  await withImport({}, async ({ server, folder, run }) => {
+    fs.appendFileSync(path.join(folder, 'Projet.html'), '<p>AT&T &foo;</p>');
+    fs.appendFileSync(path.join(folder, 'Produit.html'), '<ac:structured-macro ac:name="mystery"></ac:structured-macro>');
+
+    const result = await run();
+    assert.strictEqual(actions(result)['Projet.html'], 'Created');
+    assert.match(server.findPage('Projet').body, /AT&amp;T &amp;foo;/);
+    assert.strictEqual(result.counts['Storage repaired'], 2);
+
+    assert.strictEqual(actions(result)['Produit.html'], 'Failed');
+    assert.strictEqual(server.findPage('Produit'), undefined);
+    assert.match(result.events.find(event => event.action === 'Invalid storage').detail, /Unknown macro "mystery"/);
+
+    const strict = await run({ validate: 'strict', dryRun: true });
+    assert.strictEqual(actions(strict)['Projet.html'], 'Failed');
+  });
+});
+
+// === PAGE TREE ===
+test('front matter parents are paths or titles, with or without escapes', async () => {
+  await withImport({}, async ({ server, folder, run }) => {
+    const prepend = (file, text) => fs.writeFileSync(path.join(folder, file), text + fs.readFileSync(path.join(folder, file), 'utf-8'));
+    prepend('Projet.html', '---\ntitle: 100% Guide\n---\n');
+    prepend('Produit.html', '---\nparent: "100% Guide"\n---\n');
+    prepend('example.html', '---\nparent: Produit.html\n---\n');
+
+    const result = await run();
+    assert.ok(result.pages.every(page => page.action === 'Created'));
+    assert.strictEqual(server.findPage('Produit').parentId, server.findPage('100% Guide').id);
+    assert.strictEqual(server.findPage('Example').parentId, server.findPage('Produit').id);
+  });
+});
+
+// === CRAWL ===
+test('crawl follows local links and skips malformed ones', async () => {
+  await withImport({}, async ({ server, folder, run }) => {
+    fs.appendFileSync(path.join(folder, 'Projet.html'), '<p><a href="guides/setup.html">Setup</a> <a href="50%off.html">Sale</a></p>');
+    fs.mkdirSync(path.join(folder, 'guides'));
+    fs.writeFileSync(path.join(folder, 'guides', 'setup.html'), '<p><a href="../Produit.html">Produit</a> <a href="steps.html">Steps</a></p>');
+    fs.writeFileSync(path.join(folder, 'guides', 'steps.html'), '<p>First step</p>');
+    fs.writeFileSync(path.join(folder, 'unlinked.html'), '<p>Nothing links here</p>');
+
+    const result = await run({ crawl: true });
+    assert.strictEqual(actions(result)[path.join('guides', 'setup.html')], 'Created');
+    assert.strictEqual(actions(result)[path.join('guides', 'steps.html')], 'Created');
+    assert.strictEqual(actions(result)['unlinked.html'], undefined);
+    assert.strictEqual(server.findPage('Setup').parentId, server.findPage('Projet').id);
+    assert.strictEqual(server.findPage('Steps').parentId, server.findPage('Setup').id);
+
+    const limited = await run({ crawl: true, crawlDepth: 2, dryRun: true });
+    assert.strictEqual(actions(limited)[path.join('guides', 'steps.html')], undefined);
+  });
+});
+
+test('crawled pages are titled from their own title or heading', async () => {
+  await withImport({}, async ({ server, folder, run }) => {
+    fs.appendFileSync(path.join(folder, 'Projet.html'), '<p><a href="c.html">Next</a></p>');
+    fs.writeFileSync(path.join(folder, 'c.html'), '<html><head><title>Chapter C</title></head><body><a href="d.html">Next</a></body></html>');
+    fs.writeFileSync(path.join(folder, 'd.html'), '<h1>Chapter\n  D</h1><p><a href="e.html">Next</a></p>');
+    fs.writeFileSync(path.join(folder, 'e.html'), '---\ntitle: Chapter E\n---\n<h1>Heading E</h1>');
+    fs.writeFileSync(path.join(folder, 'unlinked.html'), '<h1>Orphan</h1>');
+
+    const result = await run({ crawl: true, crawlAll: true });
+    assert.strictEqual(actions(result)['c.html'], 'Created');
+    assert.ok(server.findPage('Chapter C'));
+    assert.strictEqual(server.findPage('Chapter D').parentId, server.findPage('Chapter C').id);
+    assert.ok(server.findPage('Chapter E'));
+    assert.ok(server.findPage('Orphan'));
+    assert.strictEqual(server.findPage('Next'), undefined);
+  });
+});
+
+// === SYNC ===
+// Imports the sample site, then removes Produit and Example from index.html
+// and the image from Projet.html
+async function importThenRemove(server, folder, run) {
+  await run();
+  fs.writeFileSync(path.join(folder, 'index.html'), '<ul><li><a href="firefox.html">Firefox</a></li><li><a href="Projet.html">Projet</a></li></ul>');
+  const projetFile = path.join(folder, 'Projet.html');
+  fs.writeFileSync(projetFile, fs.readFileSync(projetFile, 'utf-8').replace(/<a href="images\/Projet_image1.jpg"[^]*?<\/a>/, ''));
+  return { produit: server.findPage('Produit'), example: server.findPage('Example'), projet: server.findPage('Projet') };
+}
+
+test('sync archives removed pages and deletes stale attachments', async () => {
+  await withImport({}, async ({ server, folder, run }) => {
+    const { produit, example, projet } = await importThenRemove(server, folder, run);
+    // a page recorded in the state file but no longer marked as imported is kept
+    delete server.properties[example.id]['confluence-importer'];
+
+    const preview = await run({ sync: 'archive', dryRun: true });
+    const simulated = preview.events.filter(event => event.action === 'Simulated' && /page \d+/.test(event.detail));
+    assert.deepStrictEqual(simulated.map(event => event.detail), [`Archive page ${produit.id}`]);
+    assert.ok(preview.events.some(event => event.page === 'Example' && event.action === 'Skipped'));
+    assert.ok(preview.events.some(event => event.detail === 'Delete attachment Projet_image1.jpg'));
+    assert.strictEqual(server.attachments[projet.id].length, 1);
+
+    const result = await run({ sync: 'archive' });
+    const archive = server.findPage('Archived Pages');
+    assert.strictEqual(produit.parentId, archive.id);
+    assert.strictEqual(server.pages[example.id].parentId, example.parentId);
+    assert.ok(result.events.some(event => event.page === 'Example' && event.detail === 'Not marked as imported, kept'));
+    assert.ok(result.events.some(event => event.action === 'Attachment deleted' && event.detail === 'Projet_image1.jpg'));
+    assert.deepStrictEqual(server.attachments[projet.id], []);
+
+    const state = JSON.parse(fs.readFileSync(path.join(folder, 'transfer-state.json'), 'utf-8'));
+    assert.ok(!Object.keys(state.pages).includes(path.join(folder, 'Produit.html')));
+    assert.ok(Object.keys(state.pages).includes(path.join(folder, 'example.html')));
+  });
+});
+
+test('sync deletes removed pages owned by the importer', async () => {
+  await withImport({}, async ({ server, folder, run }) => {
+    const { produit, example } = await importThenRemove(server, folder, run);
+
+    const offline = await run({ sync: 'delete', dryRunLocal: true, outputDir: path.join(folder, 'out') });
+    assert.ok(offline.events.some(event => event.detail === `Delete page ${produit.id} (ownership not checked)`));
+
+    const result = await run({ sync: 'delete' });
+    assert.strictEqual(server.pages[produit.id], undefined);
+    assert.strictEqual(server.pages[example.id], undefined);
+    assert.strictEqual(result.events.filter(event => event.action === 'Deleted').length, 2);
+    assert.strictEqual(server.findPage('Archived Pages'), undefined);
+  });
+});
+
+test('sync keeps the pages of files skipped for a title conflict', async () => {
+  await withImport({}, async ({ server, folder, run }) => {
+    await run();
+    const produit = server.findPage('Produit');
+    server.pages['1'] = { id: '1', title: 'Docs - Produit', parentId: null, version: 1, body: '<p>other</p>' };
+
+    const result = await run({ titleTemplate: '{prefix} - {title}', titlePrefix: 'Docs', onConflict: 'skip', sync: 'delete' });
+    assert.ok(result.events.some(event => event.page === 'Docs - Produit' && event.action === 'Skipped'));
+    assert.ok(!result.events.some(event => event.action === 'Deleted'));
+    assert.strictEqual(server.pages[produit.id].title, 'Produit');
+
+    const state = JSON.parse(fs.readFileSync(path.join(folder, 'transfer-state.json'), 'utf-8'));
+    assert.ok(Object.keys(state.pages).includes(path.join(folder, 'Produit.html')));
+  });
+});
+
+// === PROFILES ===
+test('profile options: state file, title prefix, attachment extensions and auth', async () => {
+  await withImport({}, async ({ server, folder, run }) => {
+    const result = await run({
+      profile: 'staging',
+      titlePrefix: '[Staging] ',
+      attachmentExtensions: ['TXT'],
+      email: 'me@example.com',
+      auth: 'bearer'
+    });
+    assert.ok(result.pages.every(page => page.title.startsWith('[Staging] ')));
+    assert.ok(fs.existsSync(path.join(folder, 'transfer-state.staging.json')));
+    assert.ok(!fs.existsSync(path.join(folder, 'transfer-state.json')));
+
+    // .pdf links are left as they are
+    const produit = server.findPage('[Staging] Produit');
+    assert.deepStrictEqual(server.attachments[produit.id] || [], []);
+    assert.match(produit.body, /<a href="test.pdf"/);
+    assert.ok(server.calls.every(call => call.authorization === 'Bearer token'));
+  });
+  await assert.rejects(importSite({ baseUrl: 'x', apiToken: 'x', spaceKey: 'x', folder: 'source', auth: 'basic' }), /email, required by basic authentication/);
+});
+
+// === ATTACHMENT POLICY ===
+test('files over the size limit are reported and not uploaded', async () => {
+  await withImport({}, async ({ server, run }) => {
+    const result = await run({ maxAttachmentSize: '100KB', mimeTypes: 'content' });
+    assert.strictEqual(actions(result)['Projet.html'], 'Created');
+    const rejected = result.events.filter(event => event.action === 'Attachment rejected');
+    assert.deepStrictEqual(rejected.map(event => event.detail), ['images/Projet_image1.jpg: 849.4 KB, over the 100 KB limit']);
+
+    const projet = server.findPage('Projet');
+    assert.deepStrictEqual(server.attachments[projet.id] || [], []);
+    assert.match(projet.body, /Projet image1.jpg/);
+    assert.ok(server.attachments[server.findPage('Produit').id].some(att => att.title === 'test.pdf'));
+  });
+});
+
+// === DRY RUN ===
+test('dry-run-local saves the converted pages without calling Confluence', async () => {
+  await withImport({}, async ({ server, folder, run }) => {
+    const outputDir = path.join(folder, 'output');
+    const result = await run({ dryRunLocal: true, outputDir });
+
+    result.pages.forEach(page => assert.strictEqual(page.action, 'Simulated', page.file));
+    assert.ok(fs.readdirSync(outputDir).length >= result.pages.length);
+    assert.ok(!server.calls.some(call => call.method !== 'GET'));
+
+    // attachments in one folder per page, and a preview linking pages and assets
+    assert.ok(fs.existsSync(path.join(outputDir, 'assets', 'Projet', 'Projet_image1.jpg')));
+    const projet = fs.readFileSync(path.join(outputDir, 'preview', 'Projet.html'), 'utf-8');
+    assert.match(projet, /<img src="..\/assets\/Projet\/Projet_image1.jpg"/);
+    assert.match(projet, /<a href="Produit.html">produit<\/a>/);
+    assert.match(fs.readFileSync(path.join(outputDir, 'preview', 'index.html'), 'utf-8'), /<a href="Projet.html">Projet<\/a>/);
+  });
+});
+
+// === VERIFY ===
+test('verifySite reports references missing in Confluence', async () => {
+  await withImport({}, async ({ server, baseUrl, folder, run }) => {
+    await run();
+    const options = { baseUrl, apiToken: 'token', spaceKey: 'TEST', folder };
+    assert.strictEqual((await verifySite(options)).failedPages, 0);
+
+    const projet = server.findPage('Projet');
+    server.attachments[projet.id] = [];
+    const result = await verifySite(options);
+    assert.strictEqual(result.failedPages, 1);
+    assert.deepStrictEqual(result.pages.find(page => page.pageId === projet.id).broken.map(broken => broken.reference), ['attachment "Projet_image1.jpg"']);
+  });
+});
+
+test('verifySite looks up a reference again after a failed lookup', async () => {
+  await withImport({}, async ({ server, baseUrl, folder, run }) => {
+    fs.appendFileSync(path.join(folder, 'example.html'), '<p><a href="firefox.html">Firefox</a></p>');
+    await run();
+
+    // every attempt of the first lookup of "Firefox" fails, example.html looks it up again
+    server.failNext(500, { count: 3, method: 'GET', path: /^\/rest\/api\/content$/ });
+    const result = await verifySite({ baseUrl, apiToken: 'token', spaceKey: 'TEST', folder });
+    const failed = result.pages.filter(page => page.error);
+    assert.strictEqual(failed.length, 1);
+    assert.strictEqual(result.failedPages, 1);
+    assert.ok(result.pages.every(page => page.broken.length === 0));
+  });
+});
+
+// === ZIP ARCHIVES ===
+// Sample site zipped under a single top-level folder, with archiver files
+function zipSource(folder, { indexName = 'index.html' } = {}) {
+  const zip = new AdmZip();
+  const source = path.join(__dirname, '..', 'source');
+  fs.readdirSync(source, { recursive: true }).forEach(file => {
+    if (fs.statSync(path.join(source, file)).isDirectory()) return;
+    const name = file === 'index.html' ? indexName : file.split(path.sep).join('/');
+    zip.addFile(`site/${name}`, fs.readFileSync(path.join(source, file)));
+  });
+  zip.addFile('__MACOSX/site/._index.html', Buffer.from(''));
+  const zipPath = path.join(folder, 'site.zip');
+  zip.writeZip(zipPath);
+  return zipPath;
+}
+
+test('imports a zip archive with its state file beside it', async () => {
+  await withImport({}, async ({ server, folder, run }) => {
+    const zipPath = zipSource(folder);
+    const first = await run({ folder: zipPath });
+    assert.strictEqual(first.pages[0].file, 'index.html');
+    first.pages.forEach(page => assert.strictEqual(page.action, 'Created', page.file));
+
+    const projet = server.findPage('Projet');
+    assert.deepStrictEqual(server.attachments[projet.id].map(att => att.title), ['Projet_image1.jpg']);
+    assert.deepStrictEqual(server.attachments[projet.id][0].content, fs.readFileSync(path.join(folder, 'images', 'Projet_image1.jpg')));
+    assert.ok(fs.existsSync(path.join(folder, 'site.transfer-state.json')));
+
+    const second = await run({ folder: zipPath });
+    second.pages.forEach(page => assert.strictEqual(page.action, 'Skipped', page.file));
+
+    const stateFile = path.join(folder, 'state', 'custom.json');
+    fs.mkdirSync(path.dirname(stateFile));
+    const third = await run({ folder: zipPath, stateFile });
+    third.pages.forEach(page => assert.strictEqual(page.action, 'Updated', page.file));
+    assert.ok(fs.existsSync(stateFile));
+  });
+});
+
+test('finds the entry page of an archive without index.html', async () => {
+  await withImport({}, async ({ folder, run }) => {
+    const result = await run({ folder: zipSource(folder, { indexName: 'start.html' }), dryRun: true });
+    assert.strictEqual(result.pages[0].file, 'start.html');
+    assert.ok(result.pages.some(page => page.file === 'Projet.html'));
+  });
+});
+
+test('imports .htm pages from an index.htm', async () => {
+  await withImport({}, async ({ server, folder, run }) => {
+    const site = path.join(folder, 'archived');
+    fs.mkdirSync(site);
+    fs.writeFileSync(path.join(site, 'index.htm'), '<ul><li><a href="a.htm">A</a></li></ul>');
+    fs.writeFileSync(path.join(site, 'a.htm'), '<p><a href="b.htm">B</a></p>');
+    fs.writeFileSync(path.join(site, 'b.htm'), '<p>Crawled</p>');
+
+    const result = await run({ folder: site, crawl: true });
+    assert.deepStrictEqual(result.pages.map(page => page.file), ['index.htm', 'a.htm', 'b.htm']);
+    assert.match(server.findPage('A').body, /<ri:page ri:content-title="B"\/>/);
+  });
+});
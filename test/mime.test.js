@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mimeTypeFromExtension, detectMimeType, mediaKind, parseSize, formatSize } = require('../mime');
+
+test('detectMimeType reads content signatures', () => {
+  assert.strictEqual(detectMimeType(Buffer.from('%PDF-1.7')), 'application/pdf');
+  assert.strictEqual(detectMimeType(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d])), 'image/png');
+  assert.strictEqual(detectMimeType(Buffer.from('RIFF0000WAVEfmt ')), 'audio/wav');
+  assert.strictEqual(detectMimeType(Buffer.from([0, 0, 0, 0x14, ...Buffer.from('ftypqt  ')])), 'video/quicktime');
+  assert.strictEqual(detectMimeType(Buffer.from([0, 1, 2, 0])), null);
+});
+
+test('detectMimeType uses the extension for containers and text formats', () => {
+  const zip = Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x14]);
+  assert.strictEqual(detectMimeType(zip, 'a.docx'), mimeTypeFromExtension('a.docx'));
+  assert.strictEqual(detectMimeType(zip, 'a.pdf'), 'application/zip');
+  assert.strictEqual(detectMimeType(Buffer.from([0xd0, 0xcf, 0x11, 0xe0]), 'a.XLS'), 'application/vnd.ms-excel');
+  assert.strictEqual(detectMimeType(Buffer.from('{"a": 1}'), 'a.json'), 'application/json');
+  assert.strictEqual(detectMimeType(Buffer.from('<?xml version="1.0"?>\n<svg xmlns="x">'), 'a.png'), 'image/svg+xml');
+  assert.strictEqual(detectMimeType(Buffer.from('<!DOCTYPE html>'), 'a.pdf'), 'text/html');
+  assert.strictEqual(detectMimeType(Buffer.from('notes'), 'a.doc'), 'text/plain');
+});
+
+test('mediaKind tells played media from other files', () => {
+  assert.strictEqual(mediaKind('video/mp4'), 'video');
+  assert.strictEqual(mediaKind('audio/mpeg'), 'audio');
+  assert.strictEqual(mediaKind('video/x-ms-wmv'), 'file');
+  assert.strictEqual(mediaKind('application/pdf'), null);
+  assert.strictEqual(mediaKind(null), null);
+});
+
+test('parseSize and formatSize', () => {
+  assert.strictEqual(parseSize(2048), 2048);
+  assert.strictEqual(parseSize('500'), 500);
+  assert.strictEqual(parseSize('20MB'), 20 * 1024 * 1024);
+  assert.strictEqual(parseSize('1.5 gb'), 1.5 * 1024 ** 3);
+  assert.throws(() => parseSize('big'), /Invalid size: big/);
+  assert.strictEqual(formatSize(512), '512 B');
+  assert.strictEqual(formatSize(1536), '1.5 KB');
+  assert.strictEqual(formatSize(20 * 1024 * 1024), '20 MB');
+});
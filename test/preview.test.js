@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPreviewSite, renderStorage } = require('../preview');
+
+const hrefs = {
+  pageHref: (title, anchor) => title === 'Other' ? `Other.html${anchor ? `#${anchor}` : ''}` : null,
+  assetHref: (fileName, pageTitle) => `../assets/${pageTitle || 'Page'}/${fileName}`
+};
+
+test('renderStorage renders images, links and anchors', () => {
+  const html = renderStorage(`<p>
+    <ac:image><ri:attachment ri:filename="a.png" /></ac:image>
+    <ac:image><ri:attachment ri:filename="b.png"><ri:page ri:content-title="Shared" /></ri:attachment></ac:image>
+    <ac:image><ri:url ri:value="https://example.com/c.png" /></ac:image>
+    <ac:link ac:anchor="x"><ri:page ri:content-title="Other" /><ac:plain-text-link-body><![CDATA[a & b]]></ac:plain-text-link-body></ac:link>
+    <ac:link><ri:page ri:content-title="Gone" /><ac:plain-text-link-body><![CDATA[gone]]></ac:plain-text-link-body></ac:link>
+    <ac:link><ri:attachment ri:filename="doc.pdf" /><ac:plain-text-link-body><![CDATA[doc]]></ac:plain-text-link-body></ac:link>
+    <ac:link ac:anchor="top"><ac:plain-text-link-body><![CDATA[top]]></ac:plain-text-link-body></ac:link>
+  </p>`, hrefs);
+
+  assert.match(html, /<img src="..\/assets\/Page\/a.png" alt="a.png"\/>/);
+  assert.match(html, /<img src="..\/assets\/Shared\/b.png"/);
+  assert.match(html, /<img src="https:\/\/example.com\/c.png"/);
+  assert.match(html, /<a href="Other.html#x">a &amp; b<\/a>/);
+  assert.match(html, /<span class="missing-link" title="Page not in this import">gone<\/span>/);
+  assert.match(html, /<a href="..\/assets\/Page\/doc.pdf">doc<\/a>/);
+  assert.match(html, /<a href="#top">top<\/a>/);
+  assert.doesNotMatch(html, /ac:|ri:/);
+});
+
+test('renderStorage renders image sizes, alignment, captions and linked images', () => {
+  const html = renderStorage(`<ac:image ac:align="center" ac:width="200" ac:height="100" ac:title="Plan"><ri:attachment ri:filename="a.png" /><ac:caption><p>The <em>plan</em></p></ac:caption></ac:image>
+<ac:link><ri:page ri:content-title="Other" /><ac:link-body><ac:image ac:alt="Logo"><ri:url ri:value="https://example.com/c.png" /></ac:image></ac:link-body></ac:link>`, hrefs);
+
+  assert.match(html, /<figure class="image image-center"><img src="..\/assets\/Page\/a.png" alt="a.png" width="200" height="100" title="Plan"\/><figcaption><p>The <em>plan<\/em><\/p><\/figcaption><\/figure>/);
+  assert.match(html, /<a href="Other.html"><img src="https:\/\/example.com\/c.png" alt="Logo"\/><\/a>/);
+});
+
+test('renderStorage renders macros and placeholders', () => {
+  const html = renderStorage(`<h2>Title<ac:structured-macro ac:name="anchor"><ac:parameter ac:name="">part</ac:parameter></ac:structured-macro></h2>
+<ac:structured-macro ac:name="code"><ac:parameter ac:name="language">javascript</ac:parameter><ac:plain-text-body><![CDATA[a < b]]></ac:plain-text-body></ac:structured-macro>
+<ac:structured-macro ac:name="warning"><ac:rich-text-body><p>Careful</p><ac:structured-macro ac:name="status"><ac:parameter ac:name="title">Draft</ac:parameter></ac:structured-macro></ac:rich-text-body></ac:structured-macro>
+<ac:structured-macro ac:name="expand"><ac:parameter ac:name="title">More</ac:parameter><ac:rich-text-body><p>Hidden</p></ac:rich-text-body></ac:structured-macro>
+<ac:structured-macro ac:name="children" />
+<ac:structured-macro ac:name="multimedia"><ac:parameter ac:name="name"><ri:attachment ri:filename="talk.mp3" /></ac:parameter></ac:structured-macro>
+<ac:structured-macro ac:name="view-file"><ac:parameter ac:name="name"><ri:attachment ri:filename="old.avi" /></ac:parameter></ac:structured-macro>`, hrefs);
+
+  assert.match(html, /<h2>Title<a id="part"><\/a><\/h2>/);
+  assert.match(html, /<pre data-language="javascript"><code>a &lt; b<\/code><\/pre>/);
+  assert.match(html, /<div class="macro macro-warning"><p>Careful<\/p><span class="status">Draft<\/span><\/div>/);
+  assert.match(html, /<details class="macro"><summary>More<\/summary><p>Hidden<\/p><\/details>/);
+  assert.match(html, /<div class="macro macro-placeholder">Macro: children<\/div>/);
+  assert.match(html, /<audio controls="controls" src="..\/assets\/Page\/talk.mp3"><\/audio>/);
+  assert.match(html, /<a href="..\/assets\/Page\/old.avi">old.avi<\/a>/);
+});
+
+test('createPreviewSite writes the pages with a navigation tree', () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'confluence-importer-test-'));
+  try {
+    const preview = createPreviewSite({ outputDir });
+    preview.addPage('Parent', '<p><ac:link><ri:page ri:content-title="Child: one" /></ac:link></p>');
+    preview.addPage('Child: one', '<p>child</p>');
+    assert.strictEqual(preview.assetPath('Child: one', 'a.png'), path.join(outputDir, 'assets', 'Child_ one', 'a.png'));
+
+    const indexPath = preview.write({ 'Child: one': 'Parent' });
+    assert.strictEqual(indexPath, path.join(outputDir, 'preview', 'index.html'));
+    assert.match(fs.readFileSync(indexPath, 'utf-8'), /<ul><li><a href="Parent.html">Parent<\/a><ul><li><a href="Child_%20one.html">Child: one<\/a><\/li><\/ul><\/li><\/ul>/);
+
+    const parent = fs.readFileSync(path.join(outputDir, 'preview', 'Parent.html'), 'utf-8');
+    assert.match(parent, /<a href="Parent.html" class="current">Parent<\/a>/);
+    assert.match(parent, /<main>\n<h1>Parent<\/h1>\n<p><a href="Child_%20one.html">Child: one<\/a><\/p>/);
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+});
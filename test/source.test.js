@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { openSource } = require('../source');
+
+const tempDirs = [];
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'confluence-importer-test-'));
+  tempDirs.push(dir);
+  return dir;
+}
+test.after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// Archive of { [entryName]: content }
+function writeZip(entries) {
+  const zip = new AdmZip();
+  Object.entries(entries).forEach(([name, content]) => zip.addFile(name, Buffer.from(content)));
+  const zipPath = path.join(tempDir(), 'site.zip');
+  zip.writeZip(zipPath);
+  return zipPath;
+}
+
+test('openSource reads a folder', () => {
+  const folder = tempDir();
+  fs.mkdirSync(path.join(folder, 'docs'));
+  fs.writeFileSync(path.join(folder, 'index.html'), '<a href="docs/a.html">A</a>');
+  fs.writeFileSync(path.join(folder, 'docs', 'a.html'), 'A');
+
+  const source = openSource(folder);
+  assert.strictEqual(source.root, folder);
+  assert.strictEqual(source.archive, null);
+  assert.deepStrictEqual(source.listFiles(), [path.join(folder, 'docs', 'a.html'), path.join(folder, 'index.html')]);
+  assert.strictEqual(source.readText(path.join(folder, 'docs', 'a.html')), 'A');
+});
+
+test('openSource reads a zip archive without unpacking it', () => {
+  const zipPath = writeZip({ 'index.html': 'Index', 'images/a.png': 'PNG', 'docs/': '' });
+  const source = openSource(zipPath);
+
+  assert.strictEqual(source.root, zipPath);
+  assert.strictEqual(source.archive, zipPath);
+  assert.deepStrictEqual(source.listFiles(), [path.join(zipPath, 'images', 'a.png'), path.join(zipPath, 'index.html')]);
+  assert.ok(source.exists(path.join(zipPath, 'images')));
+  assert.ok(!source.exists(path.join(zipPath, 'missing.html')));
+  assert.deepStrictEqual(source.readFile(path.join(zipPath, 'images', 'a.png')), Buffer.from('PNG'));
+  assert.throws(() => source.readFile(path.join(zipPath, 'missing.html')), /File not found in site.zip: missing.html/);
+
+  // files outside of the archive, like decoded images, come from the file system
+  const outside = path.join(tempDir(), 'decoded.png');
+  fs.writeFileSync(outside, 'decoded');
+  assert.ok(source.exists(outside));
+  assert.strictEqual(source.readText(outside), 'decoded');
+});
+
+test('openSource opens an export wrapped in a single folder', () => {
+  const zipPath = writeZip({
+    'export/site/index.html': 'Index',
+    'export/site/page.html': 'Page',
+    '__MACOSX/export/site/._index.html': '',
+    'export/.DS_Store': '',
+    'export/site/.DS_Store': ''
+  });
+  const source = openSource(zipPath);
+
+  assert.strictEqual(source.root, path.join(zipPath, 'export', 'site'));
+  assert.deepStrictEqual(source.listFiles(), [path.join(source.root, 'index.html'), path.join(source.root, 'page.html')]);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkStorage, describeProblem } = require('../storage');
+
+const messages = result => result.problems.map(problem => problem.message);
+
+test('checkStorage accepts valid storage format', () => {
+  const body = `<h1>Title</h1>
+<p>a &amp; b&nbsp;&#233;<br /></p>
+<ac:structured-macro ac:name="code"><ac:plain-text-body><![CDATA[if (a < b && c) {}]]></ac:plain-text-body></ac:structured-macro>
+<ac:link ac:anchor="x"><ri:page ri:content-title="Other" /><ac:plain-text-link-body><![CDATA[link]]></ac:plain-text-link-body></ac:link>`;
+  const result = checkStorage(body);
+  assert.deepStrictEqual(result.problems, []);
+  assert.strictEqual(result.valid, true);
+});
+
+test('checkStorage escapes stray entities and characters', () => {
+  const result = checkStorage('<p>AT&T &foo; a < b ]]> c</p>');
+  assert.deepStrictEqual(messages(result), ['Unescaped "&"', 'Unknown entity &foo;', 'Unescaped "<"', '"]]>" outside of a CDATA section']);
+  assert.strictEqual(result.repairable, true);
+  assert.strictEqual(result.html, '<p>AT&amp;T &amp;foo; a &lt; b ]]&gt; c</p>');
+});
+
+test('checkStorage repairs tags and attributes', () => {
+  const result = checkStorage('<div><p>one<img src="a.png" / /><td nowrap width=10 id="a" id="b">x</td></div></span><br>');
+  assert.strictEqual(result.repairable, true);
+  assert.strictEqual(result.html, '<div><p>one<img src="a.png" /><td nowrap="nowrap" width="10" id="a">x</td></p></div><br />');
+  assert.strictEqual(checkStorage(result.html).valid, true);
+});
+
+test('checkStorage does not repair unknown macros and namespaces', () => {
+  const result = checkStorage('<ac:structured-macro ac:name="mystery"><x:y /></ac:structured-macro>');
+  assert.deepStrictEqual(messages(result), ['Unknown macro "mystery"', 'Unknown namespace in <x:y>']);
+  assert.strictEqual(result.repairable, false);
+  assert.strictEqual(checkStorage('<ac:structured-macro ac:name="mystery" />', { macros: ['mystery'] }).valid, true);
+});
+
+test('checkStorage stops at a broken tag', () => {
+  const result = checkStorage('<p>ok <a href="x');
+  assert.strictEqual(result.repairable, false);
+  assert.ok(messages(result).includes('Unterminated value of attribute href'));
+});
+
+test('problems give their line, column and surrounding markup', () => {
+  const [problem] = checkStorage('<p>first</p>\n<p>AT&T</p>').problems;
+  assert.deepStrictEqual(problem, { line: 2, column: 6, snippet: '<p>AT&T</p>', message: 'Unescaped "&"', repaired: true });
+  assert.strictEqual(describeProblem(problem), 'line 2, column 6: Unescaped "&" (<p>AT&T</p>)');
+});
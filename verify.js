@@ -0,0 +1,112 @@
+const cheerio = require('cheerio');
+
+// Post-import verification: every <ri:page> and <ri:attachment> reference of
+// the imported pages must resolve in Confluence.
+//
+// options: { client, spaceKey }
+//   client  Confluence client from confluence.js
+// Other spaces (ri:space-key) are not checked.
+
+// References of a storage body:
+//   [{ type: 'page', title, spaceKey }] and
+//   [{ type: 'attachment', fileName, title, spaceKey }], title being the page
+//   holding the attachment, null for the page itself
+function listReferences(body) {
+  const $ = cheerio.load(body, { xmlMode: true, decodeEntities: false });
+  const references = [];
+
+  $('ri\\:attachment').each((_, el) => {
+    const page = $(el).children('ri\\:page').first();
+    references.push({
+      type: 'attachment',
+      fileName: $(el).attr('ri:filename'),
+      title: page.attr('ri:content-title') || null,
+      spaceKey: page.attr('ri:space-key') || null
+    });
+  });
+
+  $('ri\\:page').each((_, el) => {
+    if ($(el).parent().is('ri\\:attachment')) return;
+    references.push({
+      type: 'page',
+      title: $(el).attr('ri:content-title'),
+      spaceKey: $(el).attr('ri:space-key') || null
+    });
+  });
+
+  return references;
+}
+
+// Describe a reference for reports
+function describeReference(reference) {
+  if (reference.type === 'page') return `page "${reference.title}"`;
+  return reference.title
+    ? `attachment "${reference.fileName}" of page "${reference.title}"`
+    : `attachment "${reference.fileName}"`;
+}
+
+// Returns verifyPage({ pageId, title }), checking the references of a page:
+//   { pageId, title, pageUrl, references, broken: [{ reference, reason }], error }
+// Lookups are cached across pages, calls can run in parallel
+function createVerifier({ client, spaceKey }) {
+  // lookups shared by all pages, as promises so parallel checks wait for each other
+  const pagesByTitle = {};
+  const attachments = {};
+
+  // a failed lookup is dropped, the next reference tries again
+  const cached = (cache, key, lookup) => {
+    if (!(key in cache)) {
+      const promise = lookup();
+      cache[key] = promise;
+      promise.catch(() => {
+        if (cache[key] === promise) delete cache[key];
+      });
+    }
+    return cache[key];
+  };
+  const findPage = title => cached(pagesByTitle, title, () => client.getPageByTitle(title));
+  const findAttachment = (pageId, fileName) =>
+    cached(attachments, `${pageId}/${fileName}`, () => client.getAttachment(pageId, fileName));
+
+  // Reason why a reference is broken, null when it resolves
+  async function checkReference(reference, pageId) {
+    if (reference.spaceKey && reference.spaceKey !== spaceKey) return null;
+
+    if (reference.type === 'page') {
+      return (await findPage(reference.title)) ? null : 'Page not found';
+    }
+
+    let containerId = pageId;
+    if (reference.title) {
+      const container = await findPage(reference.title);
+      if (!container) return 'Page holding the attachment not found';
+      containerId = container.id;
+    }
+    return (await findAttachment(containerId, reference.fileName)) ? null : 'Attachment not found';
+  }
+
+  async function verifyPage({ pageId, title }) {
+    const result = { pageId, title, pageUrl: client.pageUrl(pageId), references: 0, broken: [], error: null };
+    try {
+      const page = await client.getPage(pageId);
+      const references = listReferences(page.body);
+      result.references = references.length;
+
+      for (const reference of references) {
+        const reason = await checkReference(reference, pageId);
+        if (reason) {
+          result.broken.push({ reference: describeReference(reference), reason });
+        }
+      }
+    } catch (error) {
+      result.error = error.response?.status === 404
+        ? 'Page not found'
+        : `${error.response?.status || ''} ${error.message}`.trim();
+    }
+    return result;
+  }
+
+  return verifyPage;
+}
+
+module.exports = { createVerifier, listReferences };